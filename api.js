@@ -4,6 +4,79 @@
 const API = {
     BASE_URL: 'https://script.google.com/macros/s/AKfycbwGeRSDz1P4RGbrXh2rHYGlC0XpHDmmekb6LUlWxOIFHYm2ybfxJMN-xXncINfWWDNSFQ/exec',
     
+    // Request defaults
+    DEFAULT_TIMEOUT: 30000,
+    AI_TIMEOUT: 90000,          // Model calls can take much longer than sheet reads
+    JSONP_MAX_URL_LENGTH: 8000,
+    jsonpCounter: 0,
+    
+    // Writes the backend stores only once per key (the named parameter), so they are safe to
+    // send again when it's unclear whether the first attempt got through
+    IDEMPOTENCY_KEYS: {
+        sendMessage: 'clientId'
+    },
+    
+    // Error codes used on ApiError objects (see createError)
+    ERROR_CODES: {
+        TIMEOUT: 'TIMEOUT',
+        ABORTED: 'ABORTED',
+        NETWORK: 'NETWORK',
+        HTTP: 'HTTP',
+        PARSE: 'PARSE'
+    },
+    
+    // Seconds a successful GET response stays fresh in ApiCache (actions not listed are never cached)
+    CACHE_TTLS: {
+        getUser: 300,
+        getUsers: 300,
+        getUserTrips: 60,
+        getTripsByDestination: 60,
+        getDestinationCards: 60,
+        getGroupTrips: 30,
+        getUserConnections: 60,
+        getUserInvites: 30,
+        getAllDestinations: 3600,
+        getTrendingDestinations: 600,
+        searchDestinations: 300,
+        matchDestination: 600,
+        getAllChannels: 60,
+        getConversations: 15
+    },
+    
+    // Cached reads to drop when a write succeeds ('*' clears everything)
+    CACHE_INVALIDATIONS: {
+        updateUser: ['getUser', 'getUsers'],
+        updateCredentials: ['getUser', 'getUsers'],
+        createTrip: ['getUserTrips', 'getTripsByDestination', 'getDestinationCards', 'getUser'],
+        updateTrip: ['getUserTrips', 'getTripsByDestination', 'getDestinationCards', 'getGroupTrips', 'getUser'],
+        deleteTrip: ['getUserTrips', 'getTripsByDestination', 'getDestinationCards', 'getGroupTrips', 'getUser'],
+        createInvite: ['getUserInvites'],
+        respondToInvite: ['getUserInvites', 'getUserConnections', 'getGroupTrips'],
+        cancelInvite: ['getUserInvites', 'getGroupTrips'],
+        blockUser: ['getUserInvites', 'getUserConnections', 'getGroupTrips'],
+        unblockUser: ['getUserConnections'],
+        createGroupTrip: ['getUserTrips', 'getTripsByDestination', 'getDestinationCards', 'getGroupTrips', 'getUser'],
+        joinGroupTrip: ['getGroupTrips', 'getUserInvites'],
+        leaveGroupTrip: ['getGroupTrips', 'getUserInvites'],
+        approveGroupMember: ['getGroupTrips', 'getUserInvites', 'getUserConnections'],
+        sendMessage: ['getAllChannels', 'getConversations'],
+        editMessage: ['getConversations'],
+        deleteMessage: ['getConversations'],
+        markMessagesRead: ['getConversations'],
+        createChannel: ['getAllChannels'],
+        joinChannel: ['getAllChannels'],
+        leaveChannel: ['getAllChannels'],
+        moderateChannelUser: ['getAllChannels'],
+        moderateMessage: ['getConversations'],
+        resolveReport: ['getConversations'],
+        suggestDestination: ['matchDestination'],
+        logout: '*'
+    },
+    
+    // Largest piece of data sent in one request (the backend caches chunks in values under 100KB)
+    UPLOAD_CHUNK_SIZE: 90000,
+    UPLOAD_CONCURRENCY: 3,
+    
     /**
      * Get API key from the backend
      * @param {string} keyName - The name of the API key to retrieve
@@ -14,84 +87,358 @@ const API = {
     },
     
     /**
-     * Call Claude API via the backend
-     * @param {object} requestData - Request data to send to Claude API
-     * @returns {Promise} - Promise that resolves with the API response
+     * Run one of the backend's Claude prompt templates
+     * @param {string} template - Template name ('searchScoring' or 'identifyLocation')
+     * @param {object} variables - Template variables (e.g. query and keywords)
+     * @param {object} options - Optional request options ({ timeout, signal })
+     * @returns {Promise} - Promise that resolves with the API response ({ success, text })
      */
-    callClaudeApi: function(requestData) {
-        return this.post('callClaudeApi', requestData);
+    callClaudeApi: function(template, variables = {}, options = {}) {
+        return this.post('callClaudeApi', { template, ...variables }, { timeout: this.AI_TIMEOUT, ...options });
     },
     
     /**
-     * Send an image to Claude API for location identification
+     * Send an image to Claude API for location identification.
+     * Images too large for a single request are uploaded in chunks first.
      * @param {string} imageData - Base64 encoded image data
      * @param {string} description - User's description of the image
+     * @param {string} mediaType - Image MIME type (defaults to image/jpeg)
+     * @param {object} options - Optional { gps: { latitude, longitude }, onProgress: fraction => {}, signal }
      * @returns {Promise} - Promise that resolves with the API response
      */
-    identifyLocationFromImage: function(imageData, description) {
-        return this.post('identifyLocation', { 
-            imageData: imageData,
-            description: description 
-        });
+    identifyLocationFromImage: async function(imageData, description, mediaType = 'image/jpeg', options = {}) {
+        const payload = {
+            mediaType: mediaType,
+            description: description,
+            gps: options.gps || null
+        };
+        
+        if (imageData.length > this.UPLOAD_CHUNK_SIZE) {
+            const upload = await this.uploadInChunks(imageData, options.onProgress, options.signal);
+            if (!upload.success) {
+                return upload;
+            }
+            payload.uploadId = upload.uploadId;
+        } else {
+            payload.imageData = imageData;
+        }
+        
+        return this.post('identifyLocation', payload, { timeout: this.AI_TIMEOUT, signal: options.signal });
+    },
+    
+    /**
+     * Upload a large string to the backend in chunks
+     * @param {string} data - Data to upload (e.g. base64 image data)
+     * @param {function} onProgress - Optional callback receiving the uploaded fraction (0-1)
+     * @param {AbortSignal} signal - Optional signal to cancel the upload
+     * @returns {Promise} - Promise that resolves with { success, uploadId } to pass to the consuming action
+     */
+    uploadInChunks: async function(data, onProgress, signal) {
+        const uploadId = 'UP-' + new Date().getTime() + '-' + Math.round(100000 * Math.random());
+        const total = Math.ceil(data.length / this.UPLOAD_CHUNK_SIZE);
+        let nextIndex = 0;
+        let uploaded = 0;
+        let failure = null;
+        
+        // Each worker uploads chunks one after another until none are left (or one fails)
+        const worker = async () => {
+            while (nextIndex < total && !failure) {
+                const index = nextIndex++;
+                const chunk = data.substr(index * this.UPLOAD_CHUNK_SIZE, this.UPLOAD_CHUNK_SIZE);
+                const response = await this.post('uploadChunk', { uploadId, index, total, chunk }, { signal });
+                if (!response.success) {
+                    failure = failure || response;
+                    return;
+                }
+                uploaded++;
+                if (onProgress) {
+                    onProgress(uploaded / total);
+                }
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.min(this.UPLOAD_CONCURRENCY, total); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        
+        return failure || { success: true, uploadId: uploadId };
     },
     
     /**
-     * Make a GET request to the API
+     * Make a GET request to the API.
+     * Actions listed in CACHE_TTLS are served from ApiCache while fresh, and concurrent
+     * identical requests share a single network call.
      * @param {string} action - The API action to call
      * @param {object} params - Additional parameters
+     * @param {object} options - Optional { timeout, signal, fresh } (fresh skips the cache)
      * @returns {Promise} - Promise that resolves with the API response
      */
-    get: async function(action, params = {}) {
+    get: async function(action, params = {}, options = {}) {
+        const ttl = this.CACHE_TTLS[action];
+        if (!ttl) {
+            return this.send(action, params, { ...options, method: 'GET' });
+        }
+        
+        const key = ApiCache.key(action, params);
+        if (!options.fresh) {
+            const cached = await ApiCache.get(key);
+            if (cached) {
+                return cached;
+            }
+        }
+        
+        // Share in-flight requests, unless the caller wants to be able to cancel their own
+        if (!options.signal && ApiCache.inFlight.has(key)) {
+            return ApiCache.inFlight.get(key);
+        }
+        
+        const request = this.send(action, params, { ...options, method: 'GET' }).then(response => {
+            if (response.success) {
+                ApiCache.set(key, action, response, ttl);
+            }
+            return response;
+        });
+        
+        if (!options.signal) {
+            ApiCache.inFlight.set(key, request);
+            request.then(() => ApiCache.inFlight.delete(key));
+        }
+        return request;
+    },
+    
+    /**
+     * Make a POST request to the API (JSON body sent as text/plain to avoid a CORS preflight).
+     * A successful write invalidates the cached reads listed in CACHE_INVALIDATIONS.
+     * @param {string} action - The API action to call
+     * @param {object} data - The data to send
+     * @param {object} options - Optional { timeout, signal } (see API.request)
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    post: async function(action, data = {}, options = {}) {
+        const response = await this.send(action, data, { ...options, method: 'POST' });
+        if (response.success && this.CACHE_INVALIDATIONS[action]) {
+            ApiCache.invalidate(this.CACHE_INVALIDATIONS[action]);
+        }
+        return response;
+    },
+    
+    /**
+     * Synchronously read a cached GET response (memory only), e.g. to render without waiting
+     * @param {string} action - The API action
+     * @param {object} params - The parameters the action was called with
+     * @returns {object|null} - Cached response or null
+     */
+    peekCache: function(action, params = {}) {
+        return ApiCache.peek(ApiCache.key(action, params));
+    },
+    
+    /**
+     * Make a request and turn transport failures into a failed API response,
+     * so callers only need to check response.success.
+     * @param {string} action - The API action to call
+     * @param {object} data - The data to send
+     * @param {object} options - Request options (see API.request)
+     * @returns {Promise} - Promise that resolves with the API response, or with
+     *                      { success: false, message, error } where error is an ApiError
+     */
+    send: async function(action, data, options) {
+        try {
+            return await this.request(action, data, options);
+        } catch (error) {
+            if (error.code !== this.ERROR_CODES.ABORTED) {
+                console.error(`API ${options.method} ${action} error:`, error);
+            }
+            return { success: false, message: error.message, error: error };
+        }
+    },
+    
+    /**
+     * Send a request to the backend
+     * @param {string} action - The API action to call
+     * @param {object} data - Parameters (GET) or body data (POST)
+     * @param {object} options - { method: 'GET' | 'POST', timeout: ms, signal: AbortSignal }
+     * @returns {Promise} - Promise that resolves with the API response, or rejects with an ApiError
+     */
+    request: async function(action, data = {}, options = {}) {
+        const method = options.method || 'POST';
+        const timeout = options.timeout || this.DEFAULT_TIMEOUT;
+        const token = Session.getToken();
+        
+        // Abort on timeout or when the caller's signal fires
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onCallerAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            }
+            options.signal.addEventListener('abort', onCallerAbort);
+        }
+        
         try {
-            const queryParams = new URLSearchParams({ action, ...params });
-            const response = await fetch(`${this.BASE_URL}?${queryParams.toString()}`);
-            return await response.json();
+            let response;
+            if (method === 'GET') {
+                const queryParams = new URLSearchParams({ action, ...data });
+                if (token) {
+                    queryParams.set('token', token);
+                }
+                response = await fetch(`${this.BASE_URL}?${queryParams.toString()}`, { signal: controller.signal });
+            } else {
+                response = await fetch(this.BASE_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                    body: JSON.stringify({ action, token, data }),
+                    signal: controller.signal
+                });
+            }
+            
+            if (!response.ok) {
+                throw this.createError(this.ERROR_CODES.HTTP, `Request failed with status ${response.status}`, { action, status: response.status });
+            }
+            
+            let result;
+            try {
+                result = await response.json();
+            } catch (parseError) {
+                throw this.createError(this.ERROR_CODES.PARSE, 'Invalid response from server', { action });
+            }
+            return this.handleAuthResponse(result);
         } catch (error) {
-            console.error('API GET Error:', error);
-            return { success: false, message: 'Network error: ' + error.message };
+            if (error.name === 'ApiError') {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? this.createError(this.ERROR_CODES.TIMEOUT, 'Request timed out', { action })
+                    : this.createError(this.ERROR_CODES.ABORTED, 'Request was cancelled', { action });
+            }
+            
+            // fetch() rejects with a TypeError when the request is blocked (e.g. by CORS), which can
+            // happen after the backend has already run it. Retry over JSONP only for reads and
+            // idempotent writes, and only if the request fits in a URL.
+            const idempotencyKey = this.IDEMPOTENCY_KEYS[action];
+            const replayable = method === 'GET' || this.CACHE_TTLS.hasOwnProperty(action) ||
+                (!!idempotencyKey && !!data[idempotencyKey]);
+            const jsonpUrl = this.buildJsonpUrl(action, data, token, 'x');
+            if (replayable && options.jsonpFallback !== false && jsonpUrl.length <= this.JSONP_MAX_URL_LENGTH) {
+                return this.jsonp(action, data, { timeout, signal: options.signal });
+            }
+            throw this.createError(this.ERROR_CODES.NETWORK, 'Network error: ' + error.message, { action });
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onCallerAbort);
+            }
         }
     },
     
     /**
-     * Make a JSONP request to simulate POST (to avoid CORS issues)
+     * Fallback transport: load the response as a script with a JSONP callback
      * @param {string} action - The API action to call
      * @param {object} data - The data to send
-     * @returns {Promise} - Promise that resolves with the API response
+     * @param {object} options - { timeout, signal }
+     * @returns {Promise} - Promise that resolves with the API response, or rejects with an ApiError
      */
-    post: function(action, data = {}) {
+    jsonp: function(action, data = {}, options = {}) {
         return new Promise((resolve, reject) => {
-            // Create a unique callback name
-            const callbackName = 'jsonp_callback_' + Math.round(100000 * Math.random());
-            
-            // Create the script element
+            // Unique per page load, so concurrent requests never share a callback
+            const callbackName = `cluster_jsonp_${Date.now().toString(36)}_${++this.jsonpCounter}`;
             const script = document.createElement('script');
+            let timer = null;
             
-            // Setup the callback function
-            window[callbackName] = function(response) {
-                // Clean up: remove the script and delete the callback
-                document.body.removeChild(script);
-                delete window[callbackName];
-                resolve(response);
+            const cleanUp = () => {
+                clearTimeout(timer);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+                if (script.parentNode) {
+                    script.parentNode.removeChild(script);
+                }
+                // Keep a no-op in place in case the response still arrives later
+                window[callbackName] = function() {
+                    delete window[callbackName];
+                };
             };
+            const fail = (code, message) => {
+                cleanUp();
+                reject(this.createError(code, message, { action }));
+            };
+            const onAbort = () => fail(this.ERROR_CODES.ABORTED, 'Request was cancelled');
             
-            // Encode the data as a JSON string
-            const encodedData = encodeURIComponent(JSON.stringify(data));
-            
-            // Build the URL with the action, callback, and data parameters
-            script.src = `${this.BASE_URL}?action=${action}&callback=${callbackName}&data=${encodedData}`;
-            
-            // Add error handling
-            script.onerror = function() {
-                document.body.removeChild(script);
+            window[callbackName] = (response) => {
+                cleanUp();
                 delete window[callbackName];
-                reject(new Error('JSONP request failed'));
+                resolve(this.handleAuthResponse(response));
             };
             
-            // Add the script to the page to start the request
+            timer = setTimeout(() => fail(this.ERROR_CODES.TIMEOUT, 'Request timed out'), options.timeout || this.DEFAULT_TIMEOUT);
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                options.signal.addEventListener('abort', onAbort);
+            }
+            
+            script.onerror = () => fail(this.ERROR_CODES.NETWORK, 'Network error: JSONP request failed');
+            script.src = this.buildJsonpUrl(action, data, Session.getToken(), callbackName);
             document.body.appendChild(script);
         });
     },
     
+    /**
+     * Build the URL for a JSONP request
+     * @param {string} action - The API action to call
+     * @param {object} data - The data to send
+     * @param {string} token - Session token (optional)
+     * @param {string} callbackName - JSONP callback name
+     * @returns {string} - Request URL
+     */
+    buildJsonpUrl: function(action, data, token, callbackName) {
+        const queryParams = new URLSearchParams({
+            action: action,
+            callback: callbackName,
+            data: JSON.stringify(data)
+        });
+        if (token) {
+            queryParams.set('token', token);
+        }
+        return `${this.BASE_URL}?${queryParams.toString()}`;
+    },
+    
+    /**
+     * Build a structured error for a failed request
+     * @param {string} code - One of API.ERROR_CODES
+     * @param {string} message - Human readable message
+     * @param {object} details - Extra fields (action, status)
+     * @returns {Error} - Error with name 'ApiError' and a code
+     */
+    createError: function(code, message, details = {}) {
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.code = code;
+        return Object.assign(error, details);
+    },
+    
+    /**
+     * End the local session when the backend reports it as missing or expired
+     * @param {object} response - The API response
+     * @returns {object} - The same response
+     */
+    handleAuthResponse: function(response) {
+        if (response && response.authRequired && Session.getToken()) {
+            Session.clear();
+            window.location.href = 'login.html';
+        }
+        return response;
+    },
+    
     // ===== User Authentication =====
     
     /**
@@ -123,6 +470,14 @@ const API = {
         return this.post('testerLogin', params);
     },
     
+    /**
+     * Log out and revoke the current session token
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    logout: function() {
+        return this.post('logout');
+    },
+    
     /**
      * Get user by ID
      * @param {string} userId - User ID
@@ -132,6 +487,48 @@ const API = {
         return this.get('getUser', { userId });
     },
     
+    /**
+     * Get public profiles for many users in one request.
+     * Profiles are cached individually, so only users not seen recently are fetched.
+     * @param {Array} userIds - User IDs (duplicates are ignored)
+     * @returns {Promise} - Promise that resolves with { success, users }
+     */
+    getUsers: async function(userIds) {
+        const users = [];
+        const missing = [];
+        [...new Set(userIds.filter(Boolean))].forEach(userId => {
+            const cached = this.peekUser(userId);
+            if (cached) {
+                users.push(cached);
+            } else {
+                missing.push(userId);
+            }
+        });
+        
+        if (missing.length > 0) {
+            const response = await this.get('getUsers', { userIds: missing.join(',') });
+            if (!response.success) {
+                return response;
+            }
+            response.users.forEach(user => {
+                ApiCache.set(ApiCache.key('getUsers', { userIds: user.UserID }), 'getUsers', { success: true, users: [user] }, this.CACHE_TTLS.getUsers);
+                users.push(user);
+            });
+        }
+        
+        return { success: true, users: users };
+    },
+    
+    /**
+     * Synchronously get a cached public profile fetched by getUsers
+     * @param {string} userId - User ID
+     * @returns {object|null} - Profile or null if not cached
+     */
+    peekUser: function(userId) {
+        const cached = this.peekCache('getUsers', { userIds: userId });
+        return cached ? cached.users[0] : null;
+    },
+    
     /**
      * Update user profile
      * @param {string} userId - User ID
@@ -142,6 +539,17 @@ const API = {
         return this.post('updateUser', { userId, ...userData });
     },
     
+    /**
+     * Change the user's email and/or password
+     * @param {string} userId - User ID
+     * @param {string} currentPassword - Current password, required for any change
+     * @param {object} changes - New email and/or newPassword
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    updateCredentials: function(userId, currentPassword, changes) {
+        return this.post('updateCredentials', { userId, currentPassword, ...changes });
+    },
+    
     // ===== Trips =====
     
     /**
@@ -153,6 +561,26 @@ const API = {
         return this.post('createTrip', tripData);
     },
     
+    /**
+     * Update an existing trip
+     * @param {string} tripId - Trip ID
+     * @param {object} tripData - Updated trip data
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    updateTrip: function(tripId, tripData) {
+        return this.post('updateTrip', { tripId, ...tripData });
+    },
+    
+    /**
+     * Cancel a trip (the backend keeps it with Status 'cancelled')
+     * @param {string} tripId - Trip ID
+     * @param {string} userId - ID of the trip owner
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    deleteTrip: function(tripId, userId) {
+        return this.post('deleteTrip', { tripId, userId });
+    },
+    
     /**
      * Get trips by user
      * @param {string} userId - User ID
@@ -165,23 +593,65 @@ const API = {
     /**
      * Get trips by destination
      * @param {string} destination - Destination name
+     * @param {string} destinationId - Optional catalog DestinationID (takes precedence over the name)
      * @returns {Promise} - Promise that resolves with the API response
      */
-    getTripsByDestination: function(destination) {
-        return this.get('getTripsByDestination', { destination });
+    getTripsByDestination: function(destination, destinationId = '') {
+        return this.get('getTripsByDestination', destinationId ? { destinationId } : { destination });
     },
     
-    // ===== Connections =====
+    // ===== Group Trips =====
     
     /**
-     * Create a new connection between users
-     * @param {object} connectionData - Connection data
+     * Create a group trip
+     * @param {object} tripData - Trip data (see createTrip) plus capacity
      * @returns {Promise} - Promise that resolves with the API response
      */
-    createConnection: function(connectionData) {
-        return this.post('createConnection', connectionData);
+    createGroupTrip: function(tripData) {
+        return this.post('createGroupTrip', tripData);
     },
     
+    /**
+     * Get open group trips to a destination
+     * @param {string} destinationId - Destination ID
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    getGroupTrips: function(destinationId) {
+        return this.get('getGroupTrips', { destinationId });
+    },
+    
+    /**
+     * Ask the organizer to join a group trip
+     * @param {string} groupId - Group ID
+     * @param {string} message - Optional message for the organizer
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    joinGroupTrip: function(groupId, message = '') {
+        return this.post('joinGroupTrip', { groupId, message });
+    },
+    
+    /**
+     * Leave a group trip or withdraw a pending request to join it
+     * @param {string} groupId - Group ID
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    leaveGroupTrip: function(groupId) {
+        return this.post('leaveGroupTrip', { groupId });
+    },
+    
+    /**
+     * Approve or decline a request to join a group trip (organizer only)
+     * @param {string} groupId - Group ID
+     * @param {string} memberId - User ID of the traveler asking to join
+     * @param {boolean} approve - Whether to approve the request
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    approveGroupMember: function(groupId, memberId, approve) {
+        return this.post('approveGroupMember', { groupId, memberId, approve });
+    },
+    
+    // ===== Connections =====
+    
     /**
      * Get user connections
      * @param {string} userId - User ID
@@ -222,6 +692,33 @@ const API = {
         return this.post('respondToInvite', { inviteId, response });
     },
     
+    /**
+     * Cancel a pending invite sent by the current user
+     * @param {string} inviteId - Invite ID
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    cancelInvite: function(inviteId) {
+        return this.post('cancelInvite', { inviteId });
+    },
+    
+    /**
+     * Block a user: they can no longer send invites to or receive invites from the current user
+     * @param {string} blockedUserId - User ID to block
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    blockUser: function(blockedUserId) {
+        return this.post('blockUser', { blockedUserId });
+    },
+    
+    /**
+     * Unblock a user
+     * @param {string} blockedUserId - User ID to unblock
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    unblockUser: function(blockedUserId) {
+        return this.post('unblockUser', { blockedUserId });
+    },
+    
     // ===== Destinations =====
     
     /**
@@ -232,6 +729,17 @@ const API = {
         return this.get('getAllDestinations');
     },
     
+    /**
+     * Get a page of destination cards for the Connect tab
+     * @param {string} type - 'solo' or 'group'
+     * @param {number} offset - Index of the first destination to return
+     * @param {number} limit - Maximum number of destinations to return
+     * @returns {Promise} - Promise that resolves with { success, destinations, total, nextOffset }
+     */
+    getDestinationCards: function(type = 'solo', offset = 0, limit = 6) {
+        return this.get('getDestinationCards', { type, offset, limit });
+    },
+    
     /**
      * Get trending destinations
      * @param {number} limit - Maximum number of destinations to return
@@ -259,11 +767,33 @@ const API = {
         return this.get('searchDestinations', { query });
     },
     
+    /**
+     * Match a recognized place (e.g. from the camera tool) against the destination catalog
+     * @param {string} location - Recognized location name
+     * @param {string} region - Recognized region
+     * @param {Array} alternatives - Alternative location names
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    matchDestination: function(location, region = '', alternatives = []) {
+        return this.get('matchDestination', { location, region, alternatives: JSON.stringify(alternatives) });
+    },
+    
+    /**
+     * Suggest a destination that isn't in the catalog yet
+     * @param {object} suggestion - Suggestion data (name, region, description, source: 'user' or 'camera')
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    suggestDestination: function(suggestion) {
+        return this.post('suggestDestination', suggestion);
+    },
+    
     // ===== Messages =====
     
     /**
      * Send a message
-     * @param {object} messageData - Message data
+     * @param {object} messageData - senderId, channelId or receiverId, content, optional parentId
+     *                               (a reply), or type 'trip' | 'destination' | 'location' with a
+     *                               payload to share a card
      * @returns {Promise} - Promise that resolves with the API response
      */
     sendMessage: function(messageData) {
@@ -271,34 +801,376 @@ const API = {
     },
     
     /**
-     * Get channel messages
+     * Edit the text of one of the current user's messages
+     * @param {string} messageId - Message ID
+     * @param {string} content - New text
+     * @returns {Promise} - Promise that resolves with the updated message as data
+     */
+    editMessage: function(messageId, content) {
+        return this.post('editMessage', { messageId, content });
+    },
+    
+    /**
+     * Delete one of the current user's messages
+     * @param {string} messageId - Message ID
+     * @returns {Promise} - Promise that resolves with the updated message as data
+     */
+    deleteMessage: function(messageId) {
+        return this.post('deleteMessage', { messageId });
+    },
+    
+    /**
+     * Add a reaction to a message, or remove the current user's reaction with that emoji
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - One of the backend's CONFIG.MESSAGES.REACTIONS
+     * @returns {Promise} - Promise that resolves with the updated message as data
+     */
+    reactToMessage: function(messageId, emoji) {
+        return this.post('reactToMessage', { messageId, emoji });
+    },
+    
+    /**
+     * Get a page of channel messages
      * @param {string} channelId - Channel ID
      * @param {number} limit - Maximum number of messages to return
-     * @returns {Promise} - Promise that resolves with the API response
+     * @param {string} before - Cursor to page back from (olderCursor of the previous page), '' for the latest
+     * @returns {Promise} - Promise that resolves with { success, messages, cursor, olderCursor, hasOlder }
      */
-    getChannelMessages: function(channelId, limit = 50) {
-        return this.get('getChannelMessages', { channelId, limit });
+    getChannelMessages: function(channelId, limit = 50, before = '') {
+        return this.get('getChannelMessages', { channelId, limit, before });
     },
     
     /**
-     * Get direct messages between two users
+     * Get a page of direct messages between two users
      * @param {string} userId1 - First user ID
      * @param {string} userId2 - Second user ID
      * @param {number} limit - Maximum number of messages to return
+     * @param {string} before - Cursor to page back from (olderCursor of the previous page), '' for the latest
+     * @returns {Promise} - Promise that resolves with { success, messages, cursor, olderCursor, hasOlder }
+     */
+    getDirectMessages: function(userId1, userId2, limit = 50, before = '') {
+        return this.get('getDirectMessages', { userId1, userId2, limit, before });
+    },
+    
+    /**
+     * Search messages in the channels and the current user's conversations
+     * @param {string} query - Text to search for
+     * @param {object} thread - Optional { channelId } or { otherUserId } to search one channel or conversation
+     * @param {object} options - Optional request options ({ timeout, signal })
+     * @returns {Promise} - Promise that resolves with { success, messages } where each message has
+     *                      its cursor and thread ({ channelId | otherUserId, name })
+     */
+    searchMessages: function(query, thread = {}, options = {}) {
+        return this.get('searchMessages', { query, ...thread }, options);
+    },
+    
+    /**
+     * Get the messages of a channel or direct conversation sent after a cursor
+     * @param {object} thread - { channelId } or { otherUserId } (a conversation with the current user)
+     * @param {string} cursor - Cursor from the previous response ('' to get just the current tail cursor)
+     * @param {number} updatedSince - serverTime of the previous response, to also get edited,
+     *                                deleted and reacted-to messages (0 for none)
+     * @param {object} options - Optional request options ({ timeout, signal })
+     * @returns {Promise} - Promise that resolves with { success, messages, cursor, hasMore, updates, serverTime }
+     */
+    getMessagesSince: function(thread, cursor = '', updatedSince = 0, options = {}) {
+        return this.get('getMessagesSince', { ...thread, cursor, updatedSince }, options);
+    },
+    
+    /**
+     * Get the direct message inbox of a user: one conversation per connection
+     * @param {string} userId - User ID
+     * @returns {Promise} - Promise that resolves with { success, conversations } where each has
+     *                      otherUser, lastMessage and unreadCount
+     */
+    getConversations: function(userId) {
+        return this.get('getConversations', { userId });
+    },
+    
+    /**
+     * Mark the direct messages received from another user as read
+     * @param {string} otherUserId - User whose messages were read
      * @returns {Promise} - Promise that resolves with the API response
      */
-    getDirectMessages: function(userId1, userId2, limit = 50) {
-        return this.get('getDirectMessages', { userId1, userId2, limit });
+    markMessagesRead: function(otherUserId) {
+        return this.post('markMessagesRead', { otherUserId });
     },
     
     // ===== Channels =====
     
     /**
-     * Get all channels
-     * @returns {Promise} - Promise that resolves with the API response
+     * Get the channels visible to the current user
+     * @returns {Promise} - Promise that resolves with { success, channels } where each has
+     *                      membership ('owner', 'member', 'invited' or null) and OnlineCount
      */
     getAllChannels: function() {
         return this.get('getAllChannels');
+    },
+    
+    /**
+     * Create a channel for a destination or trip
+     * @param {object} channelData - name, description, visibility ('public' or 'private'),
+     *                               and optional destinationId and tripId
+     * @returns {Promise} - Promise that resolves with { success, channelId, status, message };
+     *                      public channels stay 'pending' until a moderator approves them
+     */
+    createChannel: function(channelData) {
+        return this.post('createChannel', channelData);
+    },
+    
+    /**
+     * Join a channel
+     * @param {string} channelId - Channel ID
+     * @returns {Promise} - Promise that resolves with { success, memberCount, message }
+     */
+    joinChannel: function(channelId) {
+        return this.post('joinChannel', { channelId });
+    },
+    
+    /**
+     * Leave a channel
+     * @param {string} channelId - Channel ID
+     * @returns {Promise} - Promise that resolves with { success, memberCount, message }
+     */
+    leaveChannel: function(channelId) {
+        return this.post('leaveChannel', { channelId });
+    },
+    
+    /**
+     * Invite a connection to a private channel you own
+     * @param {string} channelId - Channel ID
+     * @param {string} inviteeId - Connected user to invite
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    inviteToChannel: function(channelId, inviteeId) {
+        return this.post('inviteToChannel', { channelId, inviteeId });
+    },
+    
+    /**
+     * Mark the current user as online in a channel
+     * @param {string} channelId - Channel ID
+     * @returns {Promise} - Promise that resolves with { success, onlineCount }
+     */
+    channelHeartbeat: function(channelId) {
+        return this.post('channelHeartbeat', { channelId });
+    },
+    
+    // ===== Moderation =====
+    
+    /**
+     * Report a message or a traveler to the moderators
+     * @param {string} targetType - 'message' or 'user'
+     * @param {string} targetId - Message ID or user ID
+     * @param {string} reason - 'spam', 'harassment', 'hate', 'scam', 'inappropriate' or 'other'
+     * @param {string} details - Optional explanation
+     * @returns {Promise} - Promise that resolves with { success, reportId, message }
+     */
+    reportContent: function(targetType, targetId, reason, details = '') {
+        return this.post('reportContent', { targetType, targetId, reason, details });
+    },
+    
+    /**
+     * Get reports for the review queue (moderators only)
+     * @param {string} status - 'open' (default), 'resolved', 'dismissed' or 'all'
+     * @returns {Promise} - Promise that resolves with { success, reports }
+     */
+    getReports: function(status = 'open') {
+        return this.get('getReports', { status });
+    },
+    
+    /**
+     * Close a report (moderators only): resolving hides a reported message, dismissing
+     * releases a message held by the automatic filter
+     * @param {string} reportId - Report ID
+     * @param {string} outcome - 'resolved' or 'dismissed'
+     * @param {string} note - Optional note for other moderators
+     * @returns {Promise} - Promise that resolves with the API response
+     */
+    resolveReport: function(reportId, outcome, note = '') {
+        return this.post('resolveReport', { reportId, outcome, note });
+    },
+    
+    /**
+     * Hide a message from everyone but its sender and moderators, or show it again (moderators only)
+     * @param {string} messageId - Message ID
+     * @param {string} operation - 'hide' or 'unhide'
+     * @returns {Promise} - Promise that resolves with { success, data } (the updated message)
+     */
+    moderateMessage: function(messageId, operation) {
+        return this.post('moderateMessage', { messageId, operation });
+    },
+    
+    /**
+     * Mute or ban a traveler in a channel, or lift it (moderators and the channel owner)
+     * @param {string} channelId - Channel ID
+     * @param {string} targetUserId - Traveler to moderate
+     * @param {string} operation - 'mute', 'unmute', 'ban' or 'unban'
+     * @param {number} minutes - Length of a mute (the backend default when omitted)
+     * @returns {Promise} - Promise that resolves with { success, mutedUntil, message }
+     */
+    moderateChannelUser: function(channelId, targetUserId, operation, minutes = 0) {
+        return this.post('moderateChannelUser', { channelId, targetUserId, operation, minutes });
+    }
+};
+
+/**
+ * Response cache for API reads: an in-memory map backed by IndexedDB (when available)
+ * so returning users see cached data instantly.
+ */
+const ApiCache = {
+    DB_NAME: 'cluster-api-cache',
+    STORE_NAME: 'responses',
+    PERSIST: true,
+    
+    memory: new Map(),
+    inFlight: new Map(),
+    dbPromise: null,
+    
+    /**
+     * Build a cache key from an action and its parameters (parameter order doesn't matter)
+     * @param {string} action - The API action
+     * @param {object} params - The parameters
+     * @returns {string} - Cache key
+     */
+    key: function(action, params = {}) {
+        const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+        return action + ':' + JSON.stringify(sorted);
+    },
+    
+    /**
+     * Get a fresh entry from memory without touching IndexedDB
+     * @param {string} key - Cache key
+     * @returns {object|null} - Cached response or null
+     */
+    peek: function(key) {
+        const entry = this.memory.get(key);
+        if (entry && entry.expires > Date.now()) {
+            return entry.value;
+        }
+        return null;
+    },
+    
+    /**
+     * Get a fresh entry from memory, falling back to IndexedDB
+     * @param {string} key - Cache key
+     * @returns {Promise<object|null>} - Cached response or null
+     */
+    get: async function(key) {
+        const value = this.peek(key);
+        if (value) {
+            return value;
+        }
+        
+        const entry = await this.dbRequest('readonly', store => store.get(key));
+        if (entry && entry.expires > Date.now()) {
+            this.memory.set(key, entry);
+            return entry.value;
+        }
+        return null;
+    },
+    
+    /**
+     * Store a response
+     * @param {string} key - Cache key
+     * @param {string} action - The API action (used for invalidation)
+     * @param {object} value - Response to cache
+     * @param {number} ttl - Time to live in seconds
+     */
+    set: function(key, action, value, ttl) {
+        const entry = { key, action, value, expires: Date.now() + ttl * 1000 };
+        this.memory.set(key, entry);
+        this.dbRequest('readwrite', store => store.put(entry));
+    },
+    
+    /**
+     * Drop cached responses for the given actions
+     * @param {Array|string} actions - Action names, or '*' for everything
+     */
+    invalidate: function(actions) {
+        if (actions === '*') {
+            this.clear();
+            return;
+        }
+        
+        for (const [key, entry] of this.memory) {
+            if (actions.includes(entry.action)) {
+                this.memory.delete(key);
+            }
+        }
+        
+        this.dbRequest('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (actions.includes(cursor.value.action)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+            return request;
+        });
+    },
+    
+    /**
+     * Remove every cached response (e.g. when the user logs in or out)
+     */
+    clear: function() {
+        this.memory.clear();
+        this.inFlight.clear();
+        this.dbRequest('readwrite', store => store.clear());
+    },
+    
+    /**
+     * Open the IndexedDB database once
+     * @returns {Promise<IDBDatabase|null>} - Database, or null when persistence is unavailable
+     */
+    openDb: function() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!this.PERSIST || typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                // Private browsing and blocked storage: carry on with the memory cache only
+                request.onerror = () => resolve(null);
+            });
+        }
+        return this.dbPromise;
+    },
+    
+    /**
+     * Run a request against the object store; failures are treated as cache misses
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise} - Resolves with the request result, or null on failure
+     */
+    dbRequest: async function(mode, operation) {
+        try {
+            const db = await this.openDb();
+            if (!db) {
+                return null;
+            }
+            
+            return await new Promise(resolve => {
+                const transaction = db.transaction(this.STORE_NAME, mode);
+                const request = operation(transaction.objectStore(this.STORE_NAME));
+                // Resolve once the transaction is done, so cursor walks have finished too
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => resolve(null);
+                transaction.onabort = () => resolve(null);
+            });
+        } catch (error) {
+            console.error('API cache error:', error);
+            return null;
+        }
     }
 };
 
@@ -323,19 +1195,54 @@ const Session = {
         return userData ? JSON.parse(userData) : null;
     },
     
+    /**
+     * Store the session token issued by the backend at login
+     * @param {string} token - Session token
+     */
+    setToken: function(token) {
+        // A new session may belong to another user; don't show them cached data
+        ApiCache.clear();
+        localStorage.setItem('clusterToken', token);
+    },
+    
+    /**
+     * Get the session token
+     * @returns {string|null} - Session token or null if not logged in
+     */
+    getToken: function() {
+        return localStorage.getItem('clusterToken');
+    },
+    
     /**
      * Check if user is logged in
      * @returns {boolean} - True if logged in, false otherwise
      */
     isLoggedIn: function() {
-        return !!this.getUser();
+        return !!this.getUser() && !!this.getToken();
     },
     
     /**
-     * Log out user
+     * Remove all session data from this browser
      */
-    logout: function() {
+    clear: function() {
         localStorage.removeItem('clusterUser');
+        localStorage.removeItem('clusterToken');
+        // Unsent chat messages (see ChatOutbox) belong to this user
+        localStorage.removeItem('clusterOutbox');
+        ApiCache.clear();
+    },
+    
+    /**
+     * Log out user
+     */
+    logout: async function() {
+        try {
+            // Revoke the token on the backend; log out locally even if this fails
+            await API.logout();
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.clear();
         window.location.href = 'login.html';
     }
 };
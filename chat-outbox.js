@@ -0,0 +1,168 @@
+/**
+ * Outgoing chat messages that haven't reached the backend yet.
+ * Each message gets a client ID when it's written, and sendMessage stores a client ID only
+ * once, so a message can be sent again after a timeout without being posted twice. The queue
+ * is kept in localStorage: messages written offline, or still queued when the page closed,
+ * are sent once the connection is back. Network failures are retried with backoff; messages
+ * the backend rejects, or that still fail after MAX_ATTEMPTS, wait for the user to retry or
+ * delete them.
+ */
+const ChatOutbox = {
+    STORAGE_KEY: 'clusterOutbox',
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY: 2000,
+    MAX_DELAY: 60000,
+    
+    entries: null,
+    listeners: [],
+    timer: null,
+    sending: false,
+    
+    /**
+     * Queue a message and start sending it
+     * @param {object} messageData - sendMessage data (senderId, channelId or receiverId, content, parentId)
+     * @param {object} display - Extra fields for drawing the bubble again after a reload (e.g. the quoted parent)
+     * @returns {object} - The queued entry ({ clientId, data, display, createdAt, status, attempts })
+     */
+    enqueue: function(messageData, display = {}) {
+        const entry = {
+            clientId: this.createClientId(),
+            data: messageData,
+            display: display,
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            error: ''
+        };
+        
+        this.load().push(entry);
+        this.save();
+        this.flush();
+        return entry;
+    },
+    
+    /**
+     * Try a failed message again
+     * @param {string} clientId - Client ID of the queued message
+     */
+    retry: function(clientId) {
+        const entry = this.find(clientId);
+        if (!entry) return;
+        
+        Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: '' });
+        this.save();
+        this.notify(entry, 'retrying');
+        this.flush();
+    },
+    
+    /**
+     * Drop a queued message without sending it
+     * @param {string} clientId - Client ID of the queued message
+     */
+    remove: function(clientId) {
+        this.entries = this.load().filter(entry => entry.clientId !== clientId);
+        this.save();
+    },
+    
+    /**
+     * Queued messages for a thread, oldest first
+     * @param {object} thread - { channelId } or { otherUserId }
+     * @returns {Array} - Queued entries
+     */
+    pending: function(thread) {
+        return this.load().filter(entry => thread.channelId
+            ? entry.data.channelId === thread.channelId
+            : !!thread.otherUserId && entry.data.receiverId === thread.otherUserId);
+    },
+    
+    /**
+     * Listen for changes to queued messages
+     * @param {function} listener - Called with (entry, event, response) where event is 'sending',
+     *                              'retrying', 'sent' (response has the messageId) or 'failed'
+     */
+    subscribe: function(listener) {
+        this.listeners.push(listener);
+    },
+    
+    /**
+     * Send queued messages in order. A message waiting for its next attempt holds back the
+     * ones after it, so a conversation isn't posted out of order.
+     */
+    flush: async function() {
+        if (this.sending) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.sending = true;
+        
+        try {
+            let entry;
+            while ((entry = this.load().find(queued => queued.status === 'pending'))) {
+                const wait = entry.nextAttemptAt - Date.now();
+                if (wait > 0) {
+                    this.timer = setTimeout(() => this.flush(), wait);
+                    break;
+                }
+                // The online event flushes again
+                if (!navigator.onLine) break;
+                
+                entry.attempts++;
+                this.notify(entry, 'sending');
+                const response = await API.sendMessage({ ...entry.data, clientId: entry.clientId });
+                
+                if (response.success) {
+                    this.remove(entry.clientId);
+                    this.notify(entry, 'sent', response);
+                } else if (response.error && entry.attempts < this.MAX_ATTEMPTS) {
+                    // The request didn't get through; the backend's own rejections aren't retried
+                    entry.nextAttemptAt = Date.now() + Math.min(this.BASE_DELAY * Math.pow(2, entry.attempts - 1), this.MAX_DELAY);
+                    this.save();
+                    this.notify(entry, 'retrying', response);
+                } else {
+                    entry.status = 'failed';
+                    entry.error = response.message || 'Failed to send';
+                    this.save();
+                    this.notify(entry, 'failed', response);
+                }
+            }
+        } finally {
+            this.sending = false;
+        }
+    },
+    
+    find: function(clientId) {
+        return this.load().find(entry => entry.clientId === clientId) || null;
+    },
+    
+    notify: function(entry, event, response = null) {
+        this.listeners.forEach(listener => listener(entry, event, response));
+    },
+    
+    load: function() {
+        if (!this.entries) {
+            try {
+                this.entries = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+            } catch (e) {
+                this.entries = [];
+            }
+        }
+        return this.entries;
+    },
+    
+    save: function() {
+        if (this.entries.length > 0) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.entries));
+        } else {
+            localStorage.removeItem(this.STORAGE_KEY);
+        }
+    },
+    
+    createClientId: function() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'C-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+};
+
+window.addEventListener('online', () => ChatOutbox.flush());
@@ -0,0 +1,149 @@
+/**
+ * Live chat updates for the Community tab.
+ * ChatUpdates watches one channel or conversation at a time through a transport; the default
+ * transport polls the backend, and a push transport can replace it by implementing the same
+ * start/stop/refresh interface.
+ */
+const ChatUpdates = {
+    transport: null,
+    
+    /**
+     * Start receiving new messages for a thread, replacing any thread being watched
+     * @param {object} thread - { channelId } or { otherUserId }
+     * @param {string} cursor - Cursor of the last message already shown
+     * @param {function} onMessages - Called with each batch of new messages (oldest first)
+     * @param {object} options - Optional { isActive: () => boolean } to pause while the chat isn't visible,
+     *                           onUpdates to be called with edited, deleted and reacted-to messages,
+     *                           and updatedSince (the serverTime the shown messages were loaded at)
+     */
+    watch: function(thread, cursor, onMessages, options = {}) {
+        this.stop();
+        this.transport = this.transport || PollingTransport;
+        this.transport.start(thread, cursor, onMessages, options);
+    },
+    
+    /**
+     * Stop receiving updates
+     */
+    stop: function() {
+        if (this.transport) {
+            this.transport.stop();
+        }
+    },
+    
+    /**
+     * Check for new messages now, e.g. after sending one or when the chat becomes visible again
+     */
+    refresh: function() {
+        if (this.transport) {
+            this.transport.refresh();
+        }
+    }
+};
+
+/**
+ * Polls getMessagesSince with adaptive backoff: quick while messages are arriving, slowing
+ * down while the thread is quiet, and paused while the page or chat is hidden.
+ */
+const PollingTransport = {
+    MIN_INTERVAL: 3000,
+    MAX_INTERVAL: 30000,
+    BACKOFF: 1.5,
+    
+    thread: null,
+    cursor: '',
+    onMessages: null,
+    onUpdates: null,
+    updatedSince: 0,
+    isActive: null,
+    interval: 3000,
+    timer: null,
+    controller: null,
+    // Incremented on every start/stop so responses for an old thread are ignored
+    generation: 0,
+    
+    start: function(thread, cursor, onMessages, options = {}) {
+        this.stop();
+        this.thread = thread;
+        this.cursor = cursor || '';
+        this.onMessages = onMessages;
+        this.onUpdates = options.onUpdates || null;
+        this.updatedSince = options.updatedSince || 0;
+        this.isActive = options.isActive || (() => true);
+        this.interval = this.MIN_INTERVAL;
+        this.schedule();
+    },
+    
+    stop: function() {
+        this.generation++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        this.thread = null;
+    },
+    
+    refresh: function() {
+        if (!this.thread) return;
+        this.interval = this.MIN_INTERVAL;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.controller) {
+            this.poll();
+        }
+    },
+    
+    schedule: function() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), this.interval);
+    },
+    
+    poll: async function() {
+        this.timer = null;
+        if (!this.thread) return;
+        
+        // Paused: visibilitychange or ChatUpdates.refresh() resumes polling
+        if (document.hidden || !this.isActive()) {
+            return;
+        }
+        
+        const generation = this.generation;
+        this.controller = new AbortController();
+        const updatedSince = this.onUpdates ? this.updatedSince : 0;
+        const response = await API.getMessagesSince(this.thread, this.cursor, updatedSince, { signal: this.controller.signal });
+        if (generation !== this.generation) return;
+        this.controller = null;
+        
+        if (response.success && response.serverTime) {
+            this.updatedSince = response.serverTime;
+            if (this.onUpdates && response.updates && response.updates.length > 0) {
+                this.onUpdates(response.updates);
+            }
+        }
+        
+        // An empty cursor is answered with the current tail, so adopt it even without messages
+        if (response.success && response.cursor) {
+            this.cursor = response.cursor;
+        }
+        if (response.success && response.messages.length > 0) {
+            this.interval = this.MIN_INTERVAL;
+            this.onMessages(response.messages);
+        } else {
+            this.interval = Math.min(this.interval * this.BACKOFF, this.MAX_INTERVAL);
+        }
+        
+        if (response.success && response.hasMore) {
+            this.poll();
+        } else {
+            this.schedule();
+        }
+    }
+};
+
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+        ChatUpdates.refresh();
+    }
+});
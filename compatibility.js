@@ -0,0 +1,175 @@
+/**
+ * Traveler compatibility scoring for the Connect tab
+ */
+const Compatibility = {
+    // Relative weight of each factor; factors missing on either side are left out
+    WEIGHTS: {
+        interests: 0.35,
+        dates: 0.25,
+        budget: 0.15,
+        pace: 0.15,
+        travelStyle: 0.1
+    },
+    
+    // Sliders in the preferences and trip forms run from 1 to 5
+    SCALE_MAX: 4,
+    
+    TRAVEL_STYLE_LABELS: {
+        solo: 'solo travel',
+        group: 'group travel',
+        backpacking: 'backpacking',
+        luxury: 'luxury travel'
+    },
+    
+    /**
+     * Build the profile used for scoring from a user and (optionally) their trip.
+     * Trip values take precedence over the user's general preferences.
+     * @param {object} user - User or public profile
+     * @param {object|null} trip - Trip to the destination being viewed
+     * @returns {object} - Profile with interests, budget, pace, travelStyle, startDate and endDate
+     */
+    buildProfile: function(user, trip = null) {
+        user = user || {};
+        
+        const startDate = trip ? new Date(trip.StartDate) : null;
+        const endDate = trip ? new Date(trip.EndDate) : null;
+        
+        return {
+            interests: this.mergeLists(this.parseList(trip && trip.Interests), this.parseList(user.Interests)),
+            travelStyle: this.mergeLists(this.parseList(trip && trip.TravelStyle), this.parseList(user.TravelStyle)),
+            budget: this.parseLevel(trip && trip.Budget) || this.parseLevel(user.Budget),
+            pace: this.parseLevel(user.Pace),
+            startDate: startDate && !isNaN(startDate.getTime()) ? startDate : null,
+            endDate: endDate && !isNaN(endDate.getTime()) ? endDate : null
+        };
+    },
+    
+    /**
+     * Score how well another traveler matches the current user
+     * @param {object} profile - Current user's profile (see buildProfile)
+     * @param {object} other - Other traveler's profile
+     * @returns {object|null} - { score: 0-100, reasons: [...] } with the strongest reasons first,
+     *                          or null when the profiles have nothing to compare
+     */
+    score: function(profile, other) {
+        const factors = [
+            this.scoreInterests(profile, other),
+            this.scoreDates(profile, other),
+            this.scoreLevel(profile.budget, other.budget, 'budget', 'Similar budget'),
+            this.scoreLevel(profile.pace, other.pace, 'pace', 'Similar travel pace'),
+            this.scoreTravelStyle(profile, other)
+        ].filter(Boolean);
+        
+        if (factors.length === 0) {
+            return null;
+        }
+        
+        let totalWeight = 0;
+        let total = 0;
+        factors.forEach(factor => {
+            const weight = this.WEIGHTS[factor.name];
+            totalWeight += weight;
+            total += factor.value * weight;
+        });
+        
+        // Reasons are ordered by how much each factor contributed to the score
+        const reasons = factors
+            .filter(factor => factor.reason && factor.value >= 0.5)
+            .sort((a, b) => b.value * this.WEIGHTS[b.name] - a.value * this.WEIGHTS[a.name])
+            .map(factor => factor.reason);
+        
+        return {
+            score: Math.round((total / totalWeight) * 100),
+            reasons: reasons
+        };
+    },
+    
+    // Share of the smaller interest list that both travelers have in common
+    scoreInterests: function(profile, other) {
+        if (profile.interests.length === 0 || other.interests.length === 0) return null;
+        
+        const mine = new Set(profile.interests.map(interest => interest.toLowerCase()));
+        const shared = other.interests.filter(interest => mine.has(interest.toLowerCase()));
+        const value = shared.length / Math.min(profile.interests.length, other.interests.length);
+        
+        return {
+            name: 'interests',
+            value: value,
+            reason: shared.length > 0 ? `Both into ${shared.slice(0, 3).join(', ')}` : null
+        };
+    },
+    
+    // Days spent at the destination together, relative to the shorter trip
+    scoreDates: function(profile, other) {
+        if (!profile.startDate || !profile.endDate || !other.startDate || !other.endDate) return null;
+        
+        const dayMs = 24 * 60 * 60 * 1000;
+        const overlapStart = Math.max(profile.startDate.getTime(), other.startDate.getTime());
+        const overlapEnd = Math.min(profile.endDate.getTime(), other.endDate.getTime());
+        const overlapDays = overlapEnd >= overlapStart ? Math.floor((overlapEnd - overlapStart) / dayMs) + 1 : 0;
+        const shorterTripDays = Math.min(
+            Math.floor((profile.endDate - profile.startDate) / dayMs) + 1,
+            Math.floor((other.endDate - other.startDate) / dayMs) + 1
+        );
+        
+        return {
+            name: 'dates',
+            value: shorterTripDays > 0 ? Math.min(overlapDays / shorterTripDays, 1) : 0,
+            reason: overlapDays > 0 ? `${overlapDays} day${overlapDays === 1 ? '' : 's'} there together` : null
+        };
+    },
+    
+    // Closeness of two 1-5 slider values
+    scoreLevel: function(mine, theirs, name, reason) {
+        if (!mine || !theirs) return null;
+        
+        const value = 1 - Math.abs(mine - theirs) / this.SCALE_MAX;
+        return {
+            name: name,
+            value: value,
+            reason: value >= 0.75 ? reason : null
+        };
+    },
+    
+    // Whether the travelers share any travel style
+    scoreTravelStyle: function(profile, other) {
+        if (profile.travelStyle.length === 0 || other.travelStyle.length === 0) return null;
+        
+        const shared = other.travelStyle.filter(style => profile.travelStyle.includes(style));
+        return {
+            name: 'travelStyle',
+            value: shared.length > 0 ? 1 : 0,
+            reason: shared.length > 0 ? `Both enjoy ${this.TRAVEL_STYLE_LABELS[shared[0]] || shared[0]}` : null
+        };
+    },
+    
+    // Parse a list stored either as an array or as a JSON string
+    parseList: function(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+        
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return [];
+        }
+    },
+    
+    // Combine two lists without duplicates (case-insensitive)
+    mergeLists: function(first, second) {
+        const seen = new Set();
+        return first.concat(second).filter(item => {
+            const key = String(item).toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    },
+    
+    // Parse a 1-5 slider value, returning null when it isn't set
+    parseLevel: function(value) {
+        const level = Number(value);
+        return level >= 1 && level <= 5 ? level : null;
+    }
+};
@@ -19,6 +19,16 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
   
+    // Client-side image processing: photos are downscaled and re-encoded before upload.
+    const IMAGE_MAX_DIMENSION = 1280;
+    const IMAGE_TARGET_BYTES = 300 * 1024;
+  
+    // The prepared (resized, upright) image and any EXIF GPS hint for the current upload.
+    let preparedImage = null;
+  
+    // Cancels the upload/analysis in progress when the user closes the modal or starts over.
+    let analysisController = null;
+  
     // Initialize the image recognition feature
     initImageRecognition();
   
@@ -79,6 +89,10 @@ document.addEventListener('DOMContentLoaded', function() {
             <div class="image-description-area">
               <label for="image-description">Add context about the image (optional):</label>
               <textarea id="image-description" placeholder="Example: 'Photo taken during my summer vacation at the beach', 'Is this a famous landmark?'"></textarea>
+              <label class="image-gps-hint" id="image-gps-hint" style="display: none;">
+                <input type="checkbox" id="image-gps-hint-input" checked>
+                Use the photo's GPS location as a hint (<span id="image-gps-coordinates"></span>)
+              </label>
             </div>
   
             <div class="image-recognition-actions">
@@ -178,6 +192,8 @@ document.addEventListener('DOMContentLoaded', function() {
       // Remove file button resets the upload state.
       removeButton.addEventListener('click', function() {
         uploadInput.value = '';
+        preparedImage = null;
+        document.getElementById('image-gps-hint').style.display = 'none';
         previewArea.style.display = 'none';
         uploadArea.style.display = 'flex';
         analyzeButton.disabled = true;
@@ -185,7 +201,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   
     /**
-     * Handle file upload by reading and previewing the image.
+     * Handle file upload by resizing, correcting orientation and previewing the image.
      * @param {File} file - The uploaded file.
      */
     function handleFileUpload(file) {
@@ -198,15 +214,214 @@ document.addEventListener('DOMContentLoaded', function() {
       const previewArea = document.getElementById('image-preview-area');
       const imagePreview = document.getElementById('uploaded-image-preview');
       const analyzeButton = document.getElementById('analyze-image-btn');
+      const gpsHint = document.getElementById('image-gps-hint');
+  
+      prepareImage(file)
+        .then(prepared => {
+          preparedImage = prepared;
+          imagePreview.src = prepared.dataUrl;
+          uploadArea.style.display = 'none';
+          previewArea.style.display = 'block';
+          analyzeButton.disabled = false;
+  
+          // Offer the EXIF GPS position as a hint, but let the user opt out.
+          if (prepared.gps) {
+            document.getElementById('image-gps-coordinates').textContent =
+              prepared.gps.latitude.toFixed(4) + ', ' + prepared.gps.longitude.toFixed(4);
+            document.getElementById('image-gps-hint-input').checked = true;
+            gpsHint.style.display = 'flex';
+          } else {
+            gpsHint.style.display = 'none';
+          }
+        })
+        .catch(error => {
+          console.error('Error preparing image:', error);
+          showNotification('Could not read this image. Please try another one.');
+        });
+    }
   
-      const reader = new FileReader();
-      reader.onload = function(e) {
-        imagePreview.src = e.target.result;
-        uploadArea.style.display = 'none';
-        previewArea.style.display = 'block';
-        analyzeButton.disabled = false;
+    /**
+     * Read EXIF data, then downscale, rotate upright and re-encode the image as JPEG.
+     * @param {File} file - The uploaded file.
+     * @returns {Promise<Object>} - { dataUrl, mediaType, gps }
+     */
+    async function prepareImage(file) {
+      const exif = readExifData(await file.arrayBuffer());
+      const image = await loadImage(file);
+      const canvas = drawUprightImage(image, exif.orientation);
+  
+      return {
+        dataUrl: encodeCanvas(canvas),
+        mediaType: 'image/jpeg',
+        gps: exif.gps
       };
-      reader.readAsDataURL(file);
+    }
+  
+    /**
+     * Load a file into an image element.
+     * @param {File} file - The image file.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    function loadImage(file) {
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = function() {
+          URL.revokeObjectURL(url);
+          resolve(image);
+        };
+        image.onerror = function() {
+          URL.revokeObjectURL(url);
+          reject(new Error('Unable to decode image'));
+        };
+        image.src = url;
+      });
+    }
+  
+    /**
+     * Draw the image onto a canvas no larger than IMAGE_MAX_DIMENSION, applying the EXIF orientation.
+     * @param {HTMLImageElement} image - The loaded image.
+     * @param {number} orientation - EXIF orientation (1-8).
+     * @returns {HTMLCanvasElement}
+     */
+    function drawUprightImage(image, orientation) {
+      // Browsers that support image-orientation already decode images upright,
+      // so only older ones need the transform applied by hand.
+      const autoOriented = window.CSS && CSS.supports && CSS.supports('image-orientation', 'from-image');
+      if (autoOriented) {
+        orientation = 1;
+      }
+  
+      const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+      const width = Math.round(image.naturalWidth * scale);
+      const height = Math.round(image.naturalHeight * scale);
+      const swapSides = orientation >= 5 && orientation <= 8;
+  
+      const canvas = document.createElement('canvas');
+      canvas.width = swapSides ? height : width;
+      canvas.height = swapSides ? width : height;
+      const ctx = canvas.getContext('2d');
+  
+      switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+      }
+  
+      ctx.drawImage(image, 0, 0, width, height);
+      return canvas;
+    }
+  
+    /**
+     * Encode the canvas as JPEG, lowering the quality until it fits IMAGE_TARGET_BYTES.
+     * @param {HTMLCanvasElement} canvas - The canvas to encode.
+     * @returns {string} - JPEG data URL.
+     */
+    function encodeCanvas(canvas) {
+      let dataUrl = '';
+      for (let quality = 0.85; quality >= 0.45; quality -= 0.1) {
+        dataUrl = canvas.toDataURL('image/jpeg', quality);
+        // Base64 stores 3 bytes in every 4 characters.
+        if ((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75 <= IMAGE_TARGET_BYTES) {
+          break;
+        }
+      }
+      return dataUrl;
+    }
+  
+    /**
+     * Read the orientation and GPS position from a JPEG's EXIF block.
+     * @param {ArrayBuffer} buffer - The raw file contents.
+     * @returns {Object} - { orientation, gps: { latitude, longitude } | null }
+     */
+    function readExifData(buffer) {
+      const result = { orientation: 1, gps: null };
+      const view = new DataView(buffer);
+  
+      // Only JPEGs carry EXIF in an APP1 segment.
+      if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+        return result;
+      }
+  
+      let offset = 2;
+      while (offset + 10 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+          return parseExifSegment(view, offset + 10, result);
+        }
+        // Stop at the image data or anything that isn't a marker.
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+          break;
+        }
+        offset += 2 + view.getUint16(offset + 2);
+      }
+  
+      return result;
+    }
+  
+    /**
+     * Parse the TIFF structure inside an EXIF segment.
+     * @param {DataView} view - View over the file.
+     * @param {number} tiffStart - Offset of the TIFF header.
+     * @param {Object} result - Result object to fill in.
+     * @returns {Object} - The result object.
+     */
+    function parseExifSegment(view, tiffStart, result) {
+      try {
+        const little = view.getUint16(tiffStart) === 0x4949; // "II" = little endian
+  
+        // Map each tag in an IFD to the offset of its 12-byte entry.
+        const readIfd = function(ifdOffset) {
+          const entries = {};
+          const start = tiffStart + ifdOffset;
+          const count = view.getUint16(start, little);
+          for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            entries[view.getUint16(entry, little)] = entry;
+          }
+          return entries;
+        };
+  
+        // Degrees, minutes and seconds are stored as three rationals.
+        const readCoordinate = function(entry) {
+          const valueOffset = tiffStart + view.getUint32(entry + 8, little);
+          let value = 0;
+          for (let i = 0; i < 3; i++) {
+            const numerator = view.getUint32(valueOffset + i * 8, little);
+            const denominator = view.getUint32(valueOffset + i * 8 + 4, little);
+            value += denominator ? numerator / denominator / Math.pow(60, i) : 0;
+          }
+          return value;
+        };
+  
+        const ifd0 = readIfd(view.getUint32(tiffStart + 4, little));
+        if (ifd0[0x0112]) {
+          result.orientation = view.getUint16(ifd0[0x0112] + 8, little);
+        }
+  
+        if (ifd0[0x8825]) {
+          const gps = readIfd(view.getUint32(ifd0[0x8825] + 8, little));
+          if (gps[2] && gps[4]) {
+            const latRef = gps[1] ? String.fromCharCode(view.getUint8(gps[1] + 8)) : 'N';
+            const lngRef = gps[3] ? String.fromCharCode(view.getUint8(gps[3] + 8)) : 'E';
+            const latitude = readCoordinate(gps[2]) * (latRef === 'S' ? -1 : 1);
+            const longitude = readCoordinate(gps[4]) * (lngRef === 'W' ? -1 : 1);
+  
+            // Cameras without a fix often write 0,0.
+            if (latitude || longitude) {
+              result.gps = { latitude: latitude, longitude: longitude };
+            }
+          }
+        }
+      } catch (error) {
+        console.warn('Could not read EXIF data:', error);
+      }
+  
+      return result;
     }
   
     /**
@@ -221,7 +436,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const descriptionArea = document.querySelector('.image-description-area');
       const actionsArea = document.querySelector('.image-recognition-actions');
   
-      if (!imagePreview.src || imagePreview.src === '') {
+      if (!preparedImage) {
         showNotification('Please upload an image to analyze');
         return;
       }
@@ -233,41 +448,43 @@ document.addEventListener('DOMContentLoaded', function() {
       actionsArea.style.display = 'none';
   
       // Get the base64 encoded image data (remove the data URL prefix).
-      const imageData = imagePreview.src.split(',')[1];
-  
-      // Send the image and description to the backend.
-      // Update the URL if your endpoint is different.
-      fetch('https://script.google.com/macros/s/AKfycbwGeRSDz1P4RGbrXh2rHYGlC0XpHDmmekb6LUlWxOIFHYm2ybfxJMN-xXncINfWWDNSFQ/execs', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'identifyLocation',
-          image: imageData,
-          description: description
-        })
-      })
-      .then(response => {
-        if (!response.ok) {
-          throw new Error('Network response was not ok');
+      const imageData = preparedImage.dataUrl.split(',')[1];
+      const useGps = preparedImage.gps && document.getElementById('image-gps-hint-input').checked;
+      const loadingText = loadingArea.querySelector('.loading-text');
+      loadingText.textContent = 'Processing your image...';
+  
+      // Send the image and description to the backend (in chunks if it is large).
+      analysisController = new AbortController();
+      API.identifyLocationFromImage(imageData, description, preparedImage.mediaType, {
+        signal: analysisController.signal,
+        gps: useGps ? preparedImage.gps : null,
+        onProgress: function(fraction) {
+          loadingText.textContent = fraction < 1
+            ? `Uploading image... ${Math.round(fraction * 100)}%`
+            : 'Processing your image...';
         }
-        return response.json();
       })
-      .then(data => {
-        loadingArea.style.display = 'none';
-        if (data.success) {
-          displayAnalysisResults(data.results, imagePreview.src);
-          resultsArea.style.display = 'block';
-        } else {
-          showNotification('Error analyzing image: ' + data.message);
+        .then(data => {
+          // The user cancelled; the UI has already been reset.
+          if (data.error && data.error.code === API.ERROR_CODES.ABORTED) {
+            return;
+          }
+          analysisController = null;
+          loadingArea.style.display = 'none';
+          if (data.success) {
+            displayAnalysisResults(data.results, imagePreview.src);
+            resultsArea.style.display = 'block';
+          } else {
+            showNotification('Error analyzing image: ' + data.message);
+            resetToUploadState();
+          }
+        })
+        .catch(error => {
+          console.error('Error during image analysis:', error);
+          loadingArea.style.display = 'none';
+          showNotification('Error analyzing image. Please try again.');
           resetToUploadState();
-        }
-      })
-      .catch(error => {
-        console.error('Error during image analysis:', error);
-        loadingArea.style.display = 'none';
-        showNotification('Error analyzing image. Please try again.');
-        resetToUploadState();
-      });
+        });
     }
   
     /**
@@ -281,20 +498,21 @@ document.addEventListener('DOMContentLoaded', function() {
       let html = `
         <div class="results-summary">
           <div class="results-image">
-            <img src="${imageSrc}" alt="Analyzed image">
+            <img src="${SafeHtml.escape(imageSrc)}" alt="Analyzed image">
           </div>
           <div class="results-details">
-            <h4 class="location-name">${results.location || 'Unknown Location'}</h4>
+            <h4 class="location-name">${SafeHtml.escape(results.location || 'Unknown Location')}</h4>
             <div class="confidence-level ${getConfidenceClass(results.confidence)}">
               <span class="confidence-label">Confidence:</span>
-              <span class="confidence-value">${results.confidence || 'Low'}</span>
+              <span class="confidence-value">${SafeHtml.escape(results.confidence || 'Low')}</span>
             </div>
-            ${results.region ? `<div class="location-region"><i class="fas fa-map-marker-alt"></i> ${results.region}</div>` : ''}
+            ${results.region ? `<div class="location-region"><i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(results.region)}</div>` : ''}
           </div>
         </div>
         <div class="results-description">
-          ${results.description || 'No additional details available.'}
+          ${SafeHtml.escape(results.description || 'No additional details available.')}
         </div>
+        <div class="catalog-match" id="catalog-match"></div>
       `;
   
       // Optionally include alternative possibilities or travel tips if provided.
@@ -305,20 +523,20 @@ document.addEventListener('DOMContentLoaded', function() {
             <ul>
               ${results.alternatives.map(alt => `
                 <li>
-                  <span class="alt-name">${alt.location}</span>
-                  ${alt.region ? `<span class="alt-region">(${alt.region})</span>` : ''}
+                  <span class="alt-name">${SafeHtml.escape(alt.location)}</span>
+                  ${alt.region ? `<span class="alt-region">(${SafeHtml.escape(alt.region)})</span>` : ''}
                 </li>
               `).join('')}
             </ul>
           </div>
         `;
       }
-      if (results.travelTips && results.travelTips.length > 0) {
+      if (results.tips && results.tips.length > 0) {
         html += `
           <div class="travel-tips">
             <h5>Travel Tips:</h5>
             <ul>
-              ${results.travelTips.map(tip => `<li>${tip}</li>`).join('')}
+              ${results.tips.map(tip => `<li>${SafeHtml.escape(tip)}</li>`).join('')}
             </ul>
           </div>
         `;
@@ -327,6 +545,143 @@ document.addEventListener('DOMContentLoaded', function() {
       resultsContent.innerHTML = html;
       // Store the identified location inside the search button for further use.
       document.getElementById('search-location-btn').dataset.location = results.location || '';
+  
+      showCatalogMatch(results);
+    }
+  
+    /**
+     * Look the identified location up in the Destinations catalog and show the matching
+     * destination with its travelers, or offer to suggest it when there's no match.
+     * @param {Object} results - The location analysis results.
+     */
+    async function showCatalogMatch(results) {
+      const container = document.getElementById('catalog-match');
+      if (!container || !results.location) {
+        return;
+      }
+  
+      container.innerHTML = '<div class="catalog-match-loading"><i class="fas fa-spinner fa-spin"></i> Looking for this place in our destinations...</div>';
+  
+      try {
+        const alternatives = (results.alternatives || []).map(alt => alt.location);
+        const response = await API.matchDestination(results.location, results.region, alternatives);
+        if (!response.success) {
+          throw new Error(response.message);
+        }
+  
+        if (!response.destination) {
+          container.innerHTML = '';
+          container.appendChild(createSuggestDestination(results));
+          return;
+        }
+  
+        const dest = response.destination;
+        const tripsResponse = await API.getTripsByDestination(dest.Name, dest.DestinationID);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const upcomingTrips = tripsResponse.success && tripsResponse.trips
+          ? tripsResponse.trips
+            .filter(trip => new Date(trip.EndDate) >= today)
+            .sort((a, b) => new Date(a.StartDate) - new Date(b.StartDate))
+          : [];
+  
+        const labels = {
+          destination: 'Found in Cluster destinations',
+          alternative: 'Possible match in Cluster destinations',
+          country: `Closest Cluster destination in ${dest.Country}`
+        };
+        const formatDate = value => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  
+        container.innerHTML = `
+          <div class="catalog-match-card">
+            <div class="catalog-match-icon"><i class="fas ${SafeHtml.escape(dest.Icon || 'fa-map-marker-alt')}"></i></div>
+            <div class="catalog-match-info">
+              <div class="catalog-match-label">${SafeHtml.escape(labels[response.matchType])}</div>
+              <h5>${SafeHtml.escape(dest.Name + (dest.Country ? ', ' + dest.Country : ''))}</h5>
+              ${dest.Description ? `<p>${SafeHtml.escape(dest.Description)}</p>` : ''}
+              <div class="catalog-match-stats">
+                <span><i class="fas fa-users"></i> ${Number(dest.TravellerCount) || 0} travelers</span>
+                <span><i class="fas fa-calendar"></i> ${upcomingTrips.length} upcoming ${upcomingTrips.length === 1 ? 'trip' : 'trips'}</span>
+              </div>
+              ${upcomingTrips.length > 0 ? `
+                <ul class="catalog-match-trips">
+                  ${upcomingTrips.slice(0, 3).map(trip => `
+                    <li><i class="fas fa-plane-departure"></i> ${formatDate(trip.StartDate)} - ${formatDate(trip.EndDate)}</li>
+                  `).join('')}
+                </ul>
+              ` : ''}
+              <button class="view-travelers-btn">
+                <i class="fas fa-user-friends"></i> See Who's Going
+              </button>
+            </div>
+          </div>
+        `;
+  
+        container.querySelector('.view-travelers-btn').addEventListener('click', function() {
+          hideImageRecognitionModal();
+          // Handled by the Connect tab in script.js
+          document.dispatchEvent(new CustomEvent('openLocationDetail', {
+            detail: {
+              destinationId: dest.DestinationID,
+              name: dest.Name,
+              label: `${dest.Name}${dest.Country ? ', ' + dest.Country : ''}`
+            }
+          }));
+        });
+  
+        // Only a country-level match: the exact place may still be worth adding
+        if (response.matchType === 'country') {
+          container.appendChild(createSuggestDestination(results));
+        }
+      } catch (error) {
+        console.error('Error matching destination:', error);
+        container.innerHTML = '';
+      }
+    }
+  
+    /**
+     * Create the "suggest this destination" prompt for places missing from the catalog.
+     * @param {Object} results - The location analysis results.
+     * @returns {HTMLElement}
+     */
+    function createSuggestDestination(results) {
+      const suggest = document.createElement('div');
+      suggest.className = 'catalog-suggest';
+      suggest.innerHTML = `
+        <p><i class="fas fa-map-marked-alt"></i> ${SafeHtml.escape(results.location)} isn't in our destinations yet.</p>
+        <button class="suggest-destination-btn">
+          <i class="fas fa-plus"></i> Suggest This Destination
+        </button>
+      `;
+  
+      const button = suggest.querySelector('.suggest-destination-btn');
+      button.addEventListener('click', async function() {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+  
+        try {
+          const response = await API.suggestDestination({
+            name: results.location,
+            region: results.region || '',
+            description: results.description || '',
+            source: 'camera'
+          });
+  
+          if (response.success) {
+            button.innerHTML = '<i class="fas fa-check"></i> Suggested';
+            showNotification(response.message);
+          } else {
+            throw new Error(response.message);
+          }
+        } catch (error) {
+          console.error('Error suggesting destination:', error);
+          showNotification('Could not send your suggestion. Please try again.');
+          button.disabled = false;
+          button.innerHTML = '<i class="fas fa-plus"></i> Suggest This Destination';
+        }
+      });
+  
+      return suggest;
     }
   
     /**
@@ -363,13 +718,27 @@ document.addEventListener('DOMContentLoaded', function() {
       resultsArea.style.display = 'none';
   
       document.getElementById('image-description').value = '';
+      document.getElementById('image-gps-hint').style.display = 'none';
       document.getElementById('analyze-image-btn').disabled = true;
+      preparedImage = null;
+    }
+  
+    /**
+     * Abort the upload/analysis request in progress, if any.
+     */
+    function cancelAnalysis() {
+      if (analysisController) {
+        analysisController.abort();
+        analysisController = null;
+        document.getElementById('image-recognition-loading').style.display = 'none';
+      }
     }
   
     /**
      * Fully reset the image recognition process. Called when the user wants to analyze a new image.
      */
     function resetImageRecognition() {
+      cancelAnalysis();
       const uploadInput = document.getElementById('image-upload-input');
       uploadInput.value = '';
       resetToUploadState();
@@ -410,6 +779,10 @@ document.addEventListener('DOMContentLoaded', function() {
      */
     function hideImageRecognitionModal() {
       const modal = document.getElementById('image-recognition-modal');
+      if (analysisController) {
+        cancelAnalysis();
+        resetImageRecognition();
+      }
       if (modal) {
         modal.classList.remove('active');
         document.body.style.overflow = '';
@@ -423,7 +796,7 @@ document.addEventListener('DOMContentLoaded', function() {
     function showNotification(message) {
       const notification = document.createElement('div');
       notification.className = 'notification';
-      notification.innerHTML = `<div class="notification-content">${message}</div>`;
+      notification.innerHTML = `<div class="notification-content">${SafeHtml.escape(message)}</div>`;
   
       // Basic inline styling for the notification.
       notification.style.position = 'fixed';
@@ -0,0 +1,102 @@
+/**
+ * Escaping for markup built from user or API data.
+ * Renderers build HTML with template strings: every value that isn't a constant goes through
+ * SafeHtml.escape (text and attribute values) or SafeHtml.url (href and src). Chat messages
+ * use SafeHtml.markdown, a small safe subset: **bold**, links and line breaks.
+ */
+const SafeHtml = {
+    ESCAPES: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    },
+    
+    /**
+     * Escape a value for use as HTML text or inside a quoted attribute
+     * @param {*} value - Value to escape (null and undefined become '')
+     * @returns {string} - Escaped string
+     */
+    escape: function(value) {
+        if (value === undefined || value === null) return '';
+        return String(value).replace(/[&<>"'`]/g, char => this.ESCAPES[char]);
+    },
+    
+    /**
+     * Escape a URL for an href or src attribute. Only http(s), relative and base64 image
+     * URLs are allowed, so javascript: and other schemes can't be injected.
+     * @param {string} value - URL
+     * @param {string} fallback - Returned (unescaped) when the URL isn't allowed
+     * @returns {string} - Escaped URL, or the fallback
+     */
+    url: function(value, fallback = '') {
+        const url = String(value || '').trim();
+        const allowed = /^https?:\/\//i.test(url) ||
+            /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i.test(url) ||
+            // Relative URLs: no scheme before the first slash, question mark or hash
+            (url !== '' && !/^[^/?#]*:/.test(url) && !url.startsWith('//'));
+        return allowed ? this.escape(url) : fallback;
+    },
+    
+    /**
+     * Build a CSS url() value for a style attribute, e.g. a background image. Characters that
+     * could end the url() are percent-encoded before the value is escaped.
+     * @param {string} value - URL
+     * @returns {string} - 'url("...")', or 'none' when the URL isn't allowed
+     */
+    cssUrl: function(value) {
+        if (!this.url(value)) return 'none';
+        const encoded = String(value).trim().replace(/["'()\\\s]/g, char =>
+            '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+        return `url(${this.escape('"' + encoded + '"')})`;
+    },
+    
+    /**
+     * Whether a value is a URL that SafeHtml.url would allow (e.g. to tell an avatar image
+     * from an avatar emoji or initial)
+     * @param {string} value - Value to check
+     * @returns {boolean}
+     */
+    isUrl: function(value) {
+        return /^(https?:\/\/|data:image\/)/i.test(String(value || '').trim()) && this.url(value) !== '';
+    },
+    
+    /**
+     * Render chat text as HTML. Everything is escaped first; then [label](https://...) links,
+     * bare http(s) links, **bold** and line breaks are turned into markup. Bold only applies to
+     * text (and link labels), never inside a URL. Links open in a new tab with rel="noopener noreferrer".
+     * @param {string} text - Message text
+     * @returns {string} - Safe HTML
+     */
+    markdown: function(text) {
+        const link = (url, label) => `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+        const bold = html => html.replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>');
+        
+        // Both link forms in one pass so a converted link's URL isn't linked again
+        const links = /\[([^\]\n]+)\]\((https?:\/\/[^\s()<]+)\)|(https?:\/\/(?:[^\s<&]|&amp;)+)/g;
+        const escaped = this.escape(text);
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = links.exec(escaped)) !== null) {
+            const [, label, url, bare] = match;
+            html += bold(escaped.slice(last, match.index));
+            last = links.lastIndex;
+            
+            if (url) {
+                html += link(url, bold(label));
+                continue;
+            }
+            
+            // Leave trailing punctuation out of bare links
+            const trailing = bare.match(/[.,;:!?)\]]+$/);
+            const href = trailing ? bare.slice(0, -trailing[0].length) : bare;
+            html += link(href, href) + (trailing ? trailing[0] : '');
+        }
+        html += bold(escaped.slice(last));
+        
+        return html.replace(/\r?\n/g, '<br>');
+    }
+};
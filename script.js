@@ -125,7 +125,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                             const topKeywords = keywords.slice(0, 2); // Show only top 2 keywords
                             keywordsHTML = `
                                 <div class="destination-keywords">
-                                    ${topKeywords.map(kw => `<span class="keyword-tag">${kw}</span>`).join('')}
+                                    ${topKeywords.map(kw => `<span class="keyword-tag">${SafeHtml.escape(kw)}</span>`).join('')}
                                 </div>
                             `;
                         }
@@ -143,18 +143,18 @@ document.addEventListener('DOMContentLoaded', async function() {
                     item.dataset.id = dest.DestinationID;
                     item.innerHTML = `
                         <div class="trending-icon">
-                            <i class="fas ${dest.Icon || 'fa-map-marker-alt'}"></i>
+                            <i class="fas ${SafeHtml.escape(dest.Icon || 'fa-map-marker-alt')}"></i>
                         </div>
                         <div class="trending-info">
-                            <h4>${dest.Name}</h4>
-                            <p>${shortDesc}</p>
+                            <h4>${SafeHtml.escape(dest.Name)}</h4>
+                            <p>${SafeHtml.escape(shortDesc)}</p>
                             ${keywordsHTML}
                             <div class="stat-badges">
                                 <div class="stat-badge">
-                                    <i class="fas fa-user"></i> ${dest.TravellerCount || 'N/A'} travelers
+                                    <i class="fas fa-user"></i> ${SafeHtml.escape(dest.TravellerCount || 'N/A')} travelers
                                 </div>
                                 <div class="stat-badge">
-                                    <i class="fas fa-arrow-trend-up"></i> +${dest.TrendingPercentage || 'N/A'}%
+                                    <i class="fas fa-arrow-trend-up"></i> +${SafeHtml.escape(dest.TrendingPercentage || 'N/A')}%
                                 </div>
                             </div>
                         </div>
@@ -196,6 +196,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 return {
                     ...regionPositions[dest.Region],
                     name: dest.Name,
+                    label: `${dest.Name}${dest.Country ? ', ' + dest.Country : ''}`,
                     id: dest.DestinationID
                 };
             } else {
@@ -203,6 +204,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                     x: 30 + Math.random() * 50,
                     y: 20 + Math.random() * 50,
                     name: dest.Name,
+                    label: `${dest.Name}${dest.Country ? ', ' + dest.Country : ''}`,
                     id: dest.DestinationID
                 };
             }
@@ -227,13 +229,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 
                 // Add click event to hotspot if it has a name
                 hotspot.addEventListener('click', () => {
-                    const locationCards = document.querySelectorAll('.location-card');
-                    // Find and click the corresponding location card if it exists
-                    locationCards.forEach(card => {
-                        if (card.querySelector('h3').textContent.includes(pos.name)) {
-                            card.click();
-                        }
-                    });
+                    showLocationInConnect(pos.id, pos.label);
                 });
             }
             
@@ -284,379 +280,1472 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     });
     
-    // Location cards click handling
-    const locationCards = document.querySelectorAll('.location-card');
+    // Location cards, rendered a page at a time from the Destinations sheet
+    const LOCATION_PAGE_SIZE = 6;
+    const locationLists = {
+        solo: document.querySelector('.location-list[data-type="solo"]'),
+        group: document.querySelector('.location-list[data-type="group"]')
+    };
+    const locationPages = {
+        solo: { nextOffset: 0, loading: false },
+        group: { nextOffset: 0, loading: false }
+    };
     const locationDetail = document.getElementById('location-detail');
     const backButton = document.querySelector('.back-button');
     const detailLocationName = document.querySelector('.detail-location-name');
     const travelersList = document.querySelector('.travelers-list');
+    const travelersFilter = document.querySelector('.travelers-filter');
+    const dateRangePicker = document.querySelector('.date-range-picker');
+    const dateRangeStart = document.querySelector('.date-range-start');
+    const dateRangeEnd = document.querySelector('.date-range-end');
+    const travelersSort = document.querySelector('.travelers-sort');
+    const travelersMinMatch = document.querySelector('.travelers-min-match');
     
-    // Add click handler for location cards
-    locationCards.forEach(card => {
-        card.addEventListener('click', async () => {
-            const locationId = card.getAttribute('data-location');
-            const locationName = card.querySelector('h3').textContent;
-            
-            // Set location name in detail view
-            detailLocationName.textContent = locationName;
-            
-            // Clear previous travelers list
-            travelersList.innerHTML = '';
-            
-            // Show loading indicator
-            travelersList.innerHTML = `
-                <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
-                    <div style="width: 50px; height: 50px; border: 3px solid rgba(0, 120, 255, 0.2); border-top-color: var(--primary); border-radius: 50%; margin: 0 auto 1rem; animation: spin 1s linear infinite;"></div>
-                    <p>Loading travelers...</p>
+    const travelersHeading = document.querySelector('.travelers-header h3');
+    const travelersControls = document.querySelector('.travelers-controls');
+    
+    // Location shown in the detail view, whether it lists solo travelers or group trips,
+    // and the date range its travelers are filtered by
+    let currentLocationId = null;
+    let currentLocationType = 'solo';
+    let travelerDateFilter = null;
+    
+    // Format a "yyyy-MM" month as e.g. "Jun 2025"
+    function formatPopularMonth(month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    
+    // Create a Connect-tab card for a destination
+    function createLocationCard(dest, type) {
+        const label = `${dest.Name}${dest.Country ? ', ' + dest.Country : ''}`;
+        const countText = type === 'group' ?
+            `<i class="fas fa-users"></i> ${dest.TripCount} group trip${dest.TripCount === 1 ? '' : 's'}` :
+            `<i class="fas fa-user"></i> ${dest.TravelerCount} solo traveler${dest.TravelerCount === 1 ? '' : 's'}`;
+        const popularDates = dest.PopularMonth ? formatPopularMonth(dest.PopularMonth) : dest.PopularDates;
+        
+        const card = document.createElement('div');
+        card.className = 'location-card';
+        card.dataset.destinationId = dest.DestinationID;
+        card.innerHTML = `
+            <div class="location-image">
+                ${SafeHtml.isUrl(dest.ImageURL) ?
+                    `<img src="${SafeHtml.url(dest.ImageURL)}" alt="${SafeHtml.escape(dest.Name)}">` :
+                    `<div class="location-image-placeholder"><i class="fas ${SafeHtml.escape(dest.Icon || 'fa-map-marker-alt')}"></i></div>`
+                }
+            </div>
+            <div class="location-info">
+                <h3>${SafeHtml.escape(label)}</h3>
+                <div class="traveler-count">
+                    ${countText}
                 </div>
-            `;
-            
-            // Show detail page with animation
-            locationDetail.style.display = 'block';
-            setTimeout(() => {
-                locationDetail.classList.add('active');
-            }, 10);
+                ${popularDates ? `
+                    <div class="travel-dates">
+                        <i class="fas fa-calendar-alt"></i> Most popular: ${SafeHtml.escape(popularDates)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+        
+        card.addEventListener('click', () => {
+            openLocationDetail(dest.DestinationID, label, type);
+        });
+        
+        return card;
+    }
+    
+    // Append the next page of destination cards to the solo or group list
+    async function loadLocationCards(type) {
+        const list = locationLists[type];
+        const page = locationPages[type];
+        const loadMoreBtn = document.querySelector(`.load-more-locations[data-type="${type}"]`);
+        if (!list || page.loading || page.nextOffset === null) return;
+        
+        page.loading = true;
+        if (loadMoreBtn) {
+            loadMoreBtn.disabled = true;
+        }
+        
+        try {
+            const response = await API.getDestinationCards(type, page.nextOffset, LOCATION_PAGE_SIZE);
             
-            // Fetch trips for this destination if not already loaded
-            if (!travelers[locationId]) {
-                try {
-                    // Clean up the locationName to create a search term
-                    const searchTerm = locationName.split(',')[0].trim();
-                    const response = await API.getTripsByDestination(searchTerm);
-                    
-                    if (response.success && response.trips && response.trips.length > 0) {
-                        const tripUserIds = response.trips.map(trip => trip.UserID);
-                        
-                        // Fetch user details for each trip
-                        const userPromises = tripUserIds.map(userId => API.getUserById(userId));
-                        const userResponses = await Promise.all(userPromises);
-                        
-                        const locationTravelers = [];
-                        
-                        userResponses.forEach((userResp, index) => {
-                            if (userResp.success) {
-                                const trip = response.trips[index];
-                                const user = userResp.user;
-                                
-                                // Format dates
-                                const startDate = new Date(trip.StartDate);
-                                const endDate = new Date(trip.EndDate);
-                                const formattedDates = `${startDate.toLocaleDateString('en-US', { month: 'short' })} ${startDate.getDate()} - ${endDate.toLocaleDateString('en-US', { month: 'short' })} ${endDate.getDate()}, ${endDate.getFullYear()}`;
-                                
-                                // Parse interests
-                                let interests;
-                                try {
-                                    interests = typeof trip.Interests === 'string' ? 
-                                        JSON.parse(trip.Interests) : 
-                                        trip.Interests || [];
-                                } catch(e) {
-                                    interests = [];
-                                }
-                                
-                                locationTravelers.push({
-                                    userId: user.UserID,
-                                    name: `${user.FirstName} ${user.LastName.charAt(0)}.`,
-                                    avatar: user.Avatar,
-                                    verified: user.Verified,
-                                    dates: formattedDates,
-                                    interests: interests,
-                                    status: 'Solo traveler'
-                                });
-                            }
-                        });
-                        
-                        travelers[locationId] = locationTravelers;
-                    } else {
-                        travelers[locationId] = [];
-                    }
-                } catch (error) {
-                    console.error('Error fetching travelers:', error);
-                    travelers[locationId] = [];
-                }
+            if (!response.success) {
+                throw new Error(response.message);
             }
             
-            // Clear loading indicator
-            travelersList.innerHTML = '';
-            
-            // Display travelers
-            if (travelers[locationId] && travelers[locationId].length > 0) {
-                travelers[locationId].forEach(traveler => {
-                    const travelerCard = document.createElement('div');
-                    travelerCard.className = 'traveler-card';
-                    
-                    const interestsHTML = traveler.interests.map(interest => `
-                        <div class="traveler-interest">${interest}</div>
-                    `).join('');
-                    
-                    travelerCard.innerHTML = `
-                        <div class="traveler-header">
-                            <div class="traveler-header">
-        <div class="traveler-header">
-        <div class="traveler-avatar">
-            ${traveler.avatar ? 
-              `<img src="${traveler.avatar}" alt="${traveler.name}'s avatar">` : 
-              `<div class="avatar-initial">${traveler.avatarFallback}</div>`
+            if (page.nextOffset === 0 && response.destinations.length === 0) {
+                list.innerHTML = `
+                    <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                        <i class="fas fa-map-marked-alt" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                        <p>No destinations yet.</p>
+                    </div>
+                `;
             }
-        </div>
-                            <div>
-                                <div class="traveler-name">${traveler.name}</div>
-                                <div class="traveler-status">${traveler.status} · ${traveler.verified ? 'Verified' : 'Basic'}</div>
-                            </div>
-                        </div>
-                        <div class="traveler-dates">
-                            <i class="fas fa-calendar"></i> ${traveler.dates}
-                        </div>
-                        <div class="traveler-interests">
-                            ${interestsHTML}
-                        </div>
-                        <button class="connect-btn" data-user-id="${traveler.userId}">
-                            <i class="fas fa-user-plus"></i> Connect
-                        </button>
-                    `;
-                    
-                    travelersList.appendChild(travelerCard);
-                });
-                
-                // Add event listeners to connect buttons
-                document.querySelectorAll('.connect-btn[data-user-id]').forEach(btn => {
-                    btn.addEventListener('click', async (e) => {
-                        e.stopPropagation();
-                        const userId = btn.getAttribute('data-user-id');
-                        
-                        // Prevent connecting to self
-                        if (userId === currentUser.UserID) {
-                            alert('You cannot connect with yourself.');
-                            return;
-                        }
-                        
-                        // Show loading state
-                        const originalText = btn.innerHTML;
-                        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Connecting...';
-                        btn.disabled = true;
-                        
-                        try {
-                            const response = await API.createInvite({
-                                senderId: currentUser.UserID,
-                                receiverId: userId,
-                                message: 'I noticed we\'ll be in the same destination. Would you like to connect?',
-                                sendEmail: true
-                            });
-                            
-                            if (response.success) {
-                                btn.innerHTML = '<i class="fas fa-check"></i> Invite Sent';
-                                btn.style.backgroundColor = '#4ade80';
-                            } else {
-                                alert('Error sending invitation: ' + response.message);
-                                btn.innerHTML = originalText;
-                                btn.disabled = false;
-                            }
-                        } catch (error) {
-                            console.error('Error sending invitation:', error);
-                            alert('Network error. Please try again.');
-                            btn.innerHTML = originalText;
-                            btn.disabled = false;
-                        }
-                    });
-                });
+            
+            response.destinations.forEach((dest, index) => {
+                const card = createLocationCard(dest, type);
+                card.style.opacity = '0';
+                card.style.transform = 'translateY(20px)';
+                card.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
+                list.appendChild(card);
                 
-                // Animation for traveler cards
                 setTimeout(() => {
-                    const travelerCards = document.querySelectorAll('.traveler-card');
-                    travelerCards.forEach((card, index) => {
-                        card.style.opacity = '0';
-                        card.style.transform = 'translateY(20px)';
-                        card.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
-                        
-                        setTimeout(() => {
-                            card.style.opacity = '1';
-                            card.style.transform = 'translateY(0)';
-                        }, 100 + (index * 100));
-                    });
-                }, 300);
-            } else {
-                // Show a message if no travelers are found
-                travelersList.innerHTML = `
-                    <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
-                        <i class="fas fa-user-slash" style="font-size: 2rem; color: var(--text-tertiary); margin-bottom: 1rem; display: block;"></i>
-                        <p>No travelers available for this location yet.</p>
+                    card.style.opacity = '1';
+                    card.style.transform = 'translateY(0)';
+                }, 100 + (index * 100));
+            });
+            
+            page.nextOffset = response.nextOffset;
+        } catch (error) {
+            console.error(`Error loading ${type} destinations:`, error);
+            if (page.nextOffset === 0) {
+                list.innerHTML = `
+                    <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                        <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                        <p>Error loading destinations. Please try again.</p>
                     </div>
                 `;
+            } else {
+                showNotification('Error loading more destinations.', true);
             }
-        });
-    });
+        } finally {
+            page.loading = false;
+            if (loadMoreBtn) {
+                loadMoreBtn.disabled = false;
+                loadMoreBtn.style.display = page.nextOffset === null ? 'none' : 'block';
+            }
+        }
+    }
     
-    // Back button functionality
-    if (backButton) {
-        backButton.addEventListener('click', () => {
-            locationDetail.classList.remove('active');
-            setTimeout(() => {
-                locationDetail.style.display = 'none';
-            }, 300);
+    // Reload both destination lists from the first page (e.g. after trip counts change)
+    function reloadLocationCards() {
+        Object.keys(locationLists).forEach(type => {
+            if (!locationLists[type]) return;
+            locationLists[type].innerHTML = '';
+            locationPages[type].nextOffset = 0;
+            loadLocationCards(type);
         });
     }
     
-    // Add animation for location cards
-    const cards = document.querySelectorAll('.location-card');
-    
-    cards.forEach((card, index) => {
-        card.style.opacity = '0';
-        card.style.transform = 'translateY(20px)';
-        card.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
-        
-        // Add event for Connect tab to animate cards entry
-        if (tabs.length > 1) {
-            tabs[1].addEventListener('click', () => {
-                setTimeout(() => {
-                    card.style.opacity = '1';
-                    card.style.transform = 'translateY(0)';
-                }, 100 + (index * 100));
-            });
-        }
+    document.querySelectorAll('.load-more-locations').forEach(btn => {
+        btn.addEventListener('click', () => loadLocationCards(btn.getAttribute('data-type')));
     });
     
-    // Camera tool hover effect
-    const cameraTool = document.querySelector('.camera-tool');
+    loadLocationCards('solo');
+    loadLocationCards('group');
     
-    if (cameraTool) {
-        cameraTool.addEventListener('mouseenter', () => {
-            cameraTool.style.transform = 'scale(1.1)';
-            cameraTool.style.boxShadow = '0 8px 25px rgba(0, 120, 255, 0.5)';
-        });
-        
-        cameraTool.addEventListener('mouseleave', () => {
-            cameraTool.style.transform = 'scale(1)';
-            cameraTool.style.boxShadow = '0 5px 20px rgba(0, 120, 255, 0.4)';
-        });
+    // Switch to the Connect tab and show the travelers for a destination
+    function showLocationInConnect(destinationId, label) {
+        const connectTab = document.querySelector('.tab[data-tab="connect"]');
+        if (connectTab && !connectTab.classList.contains('active')) {
+            connectTab.click();
+        }
         
-        cameraTool.addEventListener('click', () => {
-            // Camera tool animation
-            cameraTool.style.transform = 'scale(0.9)';
-            setTimeout(() => {
-                cameraTool.style.transform = 'scale(1.1)';
-            }, 100);
-            setTimeout(() => {
-                cameraTool.style.transform = 'scale(1)';
-            }, 200);
-            
-            // Show camera scan overlay - this would be implemented in a real app
-            // Simply showing an alert for demonstration
-            alert("Camera Recognition Tool activated! Take a photo of a landmark or location to identify it and find nearby travelers.");
-        });
+        openLocationDetail(destinationId, label);
     }
     
-    // Load channels and set up chat functionality
-    const channelsList = document.querySelector('.channels-list');
-    const chatContainer = document.querySelector('.chat-container');
-    const chatTitle = document.querySelector('.chat-title');
-    const onlineIndicator = document.querySelector('.online-indicator');
-    const messagesContainer = document.querySelector('.chat-messages');
-    const chatInput = document.querySelector('.chat-input');
-    const sendButton = document.querySelector('.chat-send');
-    
-    let currentChannelId = '';
+    // Other modules (search results, the camera tool) can ask to open a destination in the Connect tab
+    document.addEventListener('openLocationDetail', (e) => {
+        const { destinationId, name, label } = e.detail;
+        showLocationInConnect(destinationId, label || name);
+    });
     
-    // Load all channels
-    async function loadChannels() {
-        if (!channelsList) return;
+    // Show the detail page listing travelers planning to visit a location
+    async function openLocationDetail(locationId, locationName, type = 'solo') {
+        currentLocationId = locationId;
+        currentLocationType = type;
+        travelerDateFilter = null;
         
-        try {
-            const response = await API.getAllChannels();
-            
-            if (response.success && response.channels && response.channels.length > 0) {
-                // Clear out the template channels except for the heading
-                channelsList.innerHTML = '<h3>Destination Channels</h3>';
+        // Set location name in detail view
+        detailLocationName.textContent = locationName;
+        
+        // Date filters, sorting and match scores only apply to solo travelers
+        const isGroup = type === 'group';
+        travelersHeading.textContent = isGroup ? 'Open group trips' : 'Travelers planning to visit';
+        travelersFilter.style.display = isGroup ? 'none' : '';
+        travelersControls.style.display = isGroup ? 'none' : '';
+        dateRangePicker.style.display = 'none';
+        
+        // Clear previous travelers list
+        travelersList.innerHTML = '';
+        
+        // Show loading indicator
+        travelersList.innerHTML = `
+            <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
+                <div style="width: 50px; height: 50px; border: 3px solid rgba(0, 120, 255, 0.2); border-top-color: var(--primary); border-radius: 50%; margin: 0 auto 1rem; animation: spin 1s linear infinite;"></div>
+                <p>${isGroup ? 'Loading group trips...' : 'Loading travelers...'}</p>
+            </div>
+        `;
+        
+        // Show detail page with animation
+        locationDetail.style.display = 'block';
+        setTimeout(() => {
+            locationDetail.classList.add('active');
+        }, 10);
+        
+        if (isGroup) {
+            loadGroupTrips();
+            return;
+        }
+        
+        // Fetch trips for this destination if not already loaded
+        if (!travelers[locationId]) {
+            try {
+                // The name is only used as a fallback if there's no destination ID
+                const searchTerm = locationName.split(',')[0].trim();
+                const response = await API.getTripsByDestination(searchTerm, locationId);
                 
-                // Add each channel
-                response.channels.forEach((channel, index) => {
-                    const channelItem = document.createElement('div');
-                    channelItem.className = 'channel-item';
-                    if (index === 0) channelItem.classList.add('active');
-                    
-                    // Fix for missing channel name - use Region as fallback or a generic name
-                    const channelName = channel.Name || channel.Region || `Channel ${index + 1}`;
-                    // Get appropriate icon based on region
-                    const iconClass = getIconForRegion(channel.Region);
+                if (response.success && response.trips && response.trips.length > 0) {
+                    // Fetch all travelers' profiles in one request
+                    const usersResponse = await API.getUsers(response.trips.map(trip => trip.UserID));
+                    const usersById = {};
+                    (usersResponse.users || []).forEach(user => {
+                        usersById[user.UserID] = user;
+                    });
                     
-                    channelItem.dataset.channelId = channel.ChannelID;
-                    channelItem.innerHTML = `
-                        <div class="channel-icon">
-                            <i class="fas ${iconClass}"></i>
-                        </div>
-                        <div class="channel-name">${channelName}</div>
-                        <div class="channel-count">${channel.MemberCount || '0'}</div>
-                    `;
+                    const locationTravelers = [];
                     
-                    channelItem.addEventListener('click', () => {
-                        // Update active channel
-                        document.querySelectorAll('.channel-item').forEach(item => {
-                            item.classList.remove('active');
-                        });
-                        channelItem.classList.add('active');
-                        
-                        // Load channel messages
-                        loadChannelMessages(channel.ChannelID);
-                        
-                        // Update channel title and online indicator
-                        if (chatTitle) chatTitle.textContent = channelName;
-                        if (onlineIndicator) {
-                            onlineIndicator.innerHTML = `
-                                <div class="indicator-dot"></div>
-                                ${channel.MemberCount || '0'} travelers online
-                            `;
+                    response.trips.forEach(trip => {
+                        const user = usersById[trip.UserID];
+                        if (user) {
+                            // Format dates
+                            const startDate = new Date(trip.StartDate);
+                            const endDate = new Date(trip.EndDate);
+                            const formattedDates = `${startDate.toLocaleDateString('en-US', { month: 'short' })} ${startDate.getDate()} - ${endDate.toLocaleDateString('en-US', { month: 'short' })} ${endDate.getDate()}, ${endDate.getFullYear()}`;
+                            
+                            // Parse interests
+                            let interests;
+                            try {
+                                interests = typeof trip.Interests === 'string' ? 
+                                    JSON.parse(trip.Interests) : 
+                                    trip.Interests || [];
+                            } catch(e) {
+                                interests = [];
+                            }
+                            
+                            locationTravelers.push({
+                                userId: user.UserID,
+                                name: `${user.FirstName} ${user.LastName.charAt(0)}.`,
+                                avatar: user.Avatar,
+                                verified: user.Verified,
+                                dates: formattedDates,
+                                startDate: startDate,
+                                endDate: endDate,
+                                interests: interests,
+                                status: Compatibility.parseList(trip.TravelStyle).includes('group') ? 'Group traveler' : 'Solo traveler',
+                                isCurrentUser: user.UserID === currentUser.UserID,
+                                trip: trip,
+                                profile: Compatibility.buildProfile(user, trip)
+                            });
                         }
                     });
                     
-                    channelsList.appendChild(channelItem);
-                    
-                    // Load messages for the first channel
-                    if (index === 0) {
-                        currentChannelId = channel.ChannelID;
-                        if (chatTitle) chatTitle.textContent = channelName;
-                        if (onlineIndicator) {
-                            onlineIndicator.innerHTML = `
-                                <div class="indicator-dot"></div>
-                                ${channel.MemberCount || '0'} travelers online
-                            `;
-                        }
-                        loadChannelMessages(channel.ChannelID);
-                    }
-                });
-            } else {
-                // Show empty state
-                channelsList.innerHTML = `
-                    <h3>Destination Channels</h3>
-                    <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
-                        <i class="fas fa-globe" style="font-size: 2rem; margin-bottom: 1rem;"></i>
-                        <p>No channels available</p>
-                    </div>
-                `;
+                    travelers[locationId] = locationTravelers;
+                } else {
+                    travelers[locationId] = [];
+                }
+            } catch (error) {
+                console.error('Error fetching travelers:', error);
+                travelers[locationId] = [];
+            }
+        }
+        
+        // Ignore results for a location the user already navigated away from
+        if (currentLocationId !== locationId || currentLocationType !== type) return;
+        
+        renderDateFilters(travelers[locationId]);
+        renderTravelers();
+    }
+    
+    // Fetch and render the open group trips for the current location
+    async function loadGroupTrips() {
+        const locationId = currentLocationId;
+        
+        try {
+            const response = await API.getGroupTrips(locationId);
+            
+            // Ignore results for a location the user already navigated away from
+            if (currentLocationId !== locationId || currentLocationType !== 'group') return;
+            
+            if (!response.success) {
+                throw new Error(response.message);
             }
+            renderGroupTrips(response.groups);
         } catch (error) {
-            console.error('Error loading channels:', error);
-            // Show error state
-            channelsList.innerHTML = `
-                <h3>Destination Channels</h3>
-                <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
-                    <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
-                    <p>Error loading channels. Please try again.</p>
+            console.error('Error fetching group trips:', error);
+            travelersList.innerHTML = `
+                <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
+                    <i class="fas fa-exclamation-triangle" style="font-size: 2rem; color: var(--text-tertiary); margin-bottom: 1rem; display: block;"></i>
+                    <p>Error loading group trips. Please try again.</p>
                 </div>
             `;
         }
     }
     
-    // Helper function to determine icon based on region
-    function getIconForRegion(region) {
-        if (!region) return 'fa-globe';
+    // Small avatar for a group member
+    function groupMemberAvatar(member) {
+        const name = SafeHtml.escape(`${member.firstName} ${member.lastName.charAt(0)}.`);
+        return SafeHtml.isUrl(member.avatar) ?
+            `<img class="group-member-avatar" src="${SafeHtml.url(member.avatar)}" alt="${name}" title="${name}">` :
+            `<div class="group-member-avatar" title="${name}">${SafeHtml.escape(member.firstName.charAt(0))}</div>`;
+    }
+    
+    // Action area of a group trip card, depending on the current user's membership
+    function groupTripActions(group) {
+        if (group.viewerStatus === 'organizer') {
+            const requests = group.pendingRequests || [];
+            return `
+                <div class="group-organizer-note"><i class="fas fa-crown"></i> You're organizing this trip</div>
+                ${requests.length > 0 ? `
+                    <div class="group-requests">
+                        <div class="group-requests-title">Requests to join</div>
+                        ${requests.map(request => `
+                            <div class="group-request">
+                                ${groupMemberAvatar(request)}
+                                <span>${SafeHtml.escape(request.firstName)} ${SafeHtml.escape(request.lastName.charAt(0))}.</span>
+                                <button class="group-request-btn approve" data-group-action="approve" data-member-id="${SafeHtml.escape(request.userId)}" title="Approve">
+                                    <i class="fas fa-check"></i>
+                                </button>
+                                <button class="group-request-btn decline" data-group-action="decline" data-member-id="${SafeHtml.escape(request.userId)}" title="Decline">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
+        }
         
-        region = region.toLowerCase();
+        if (group.viewerStatus === 'approved') {
+            return `<button class="connect-btn group-leave-btn" data-group-action="leave"><i class="fas fa-sign-out-alt"></i> Leave group</button>`;
+        }
         
-        if (region.includes('asia') || region.includes('china') || region.includes('japan') || region.includes('korea')) {
-            return 'fa-globe-asia';
-        } else if (region.includes('europe')) {
-            return 'fa-globe-europe';
-        } else if (region.includes('america') || region.includes('usa') || region.includes('canada')) {
-            return 'fa-globe-americas';
-        } else if (region.includes('africa')) {
+        if (group.viewerStatus === 'pending') {
+            return `<button class="connect-btn group-leave-btn" data-group-action="leave"><i class="fas fa-clock"></i> Requested · Withdraw</button>`;
+        }
+        
+        return group.seatsLeft > 0 ?
+            `<button class="connect-btn" data-group-action="join"><i class="fas fa-user-plus"></i> Request to join</button>` :
+            `<button class="connect-btn" disabled><i class="fas fa-lock"></i> Group is full</button>`;
+    }
+    
+    // Render group trip cards in the location detail view
+    function renderGroupTrips(groups) {
+        travelersList.innerHTML = '';
+        
+        if (groups.length === 0) {
+            travelersList.innerHTML = `
+                <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
+                    <i class="fas fa-user-friends" style="font-size: 2rem; color: var(--text-tertiary); margin-bottom: 1rem; display: block;"></i>
+                    <p>No open group trips here yet. Plan a trip with "Group travel" selected to start one!</p>
+                </div>
+            `;
+            return;
+        }
+        
+        groups.forEach(group => {
+            const startDate = new Date(group.StartDate);
+            const endDate = new Date(group.EndDate);
+            const formattedDates = `${startDate.toLocaleDateString('en-US', { month: 'short' })} ${startDate.getDate()} - ${endDate.toLocaleDateString('en-US', { month: 'short' })} ${endDate.getDate()}, ${endDate.getFullYear()}`;
+            const organizerName = SafeHtml.escape(`${group.organizer.firstName} ${group.organizer.lastName.charAt(0)}.`);
+            
+            const groupCard = document.createElement('div');
+            groupCard.className = 'traveler-card group-trip-card';
+            groupCard.dataset.groupId = group.GroupID;
+            groupCard.innerHTML = `
+                <div class="traveler-header">
+                    <div class="traveler-avatar">
+                        ${SafeHtml.isUrl(group.organizer.avatar) ?
+                            `<img src="${SafeHtml.url(group.organizer.avatar)}" alt="${organizerName}'s avatar">` :
+                            `<div class="avatar-initial">${SafeHtml.escape(group.organizer.firstName.charAt(0))}</div>`
+                        }
+                    </div>
+                    <div>
+                        <div class="traveler-name">${organizerName}'s group</div>
+                        <div class="traveler-status">
+                            <i class="fas fa-users"></i> ${group.seatsLeft} of ${SafeHtml.escape(group.Capacity)} seats left
+                        </div>
+                    </div>
+                </div>
+                <div class="traveler-dates">
+                    <i class="fas fa-calendar"></i> ${formattedDates}
+                </div>
+                ${group.Description ? `<p class="group-trip-description">${SafeHtml.escape(group.Description)}</p>` : ''}
+                <div class="group-members">
+                    ${group.members.map(groupMemberAvatar).join('')}
+                </div>
+                <div class="traveler-interests">
+                    ${group.Interests.map(interest => `<div class="traveler-interest">${SafeHtml.escape(interest)}</div>`).join('')}
+                </div>
+                ${groupTripActions(group)}
+            `;
+            
+            travelersList.appendChild(groupCard);
+        });
+    }
+    
+    // Join, leave and approve buttons on group trip cards
+    travelersList.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-group-action]');
+        if (!btn) return;
+        
+        const groupId = btn.closest('.group-trip-card').dataset.groupId;
+        const action = btn.getAttribute('data-group-action');
+        
+        btn.disabled = true;
+        
+        try {
+            let response;
+            if (action === 'join') {
+                response = await API.joinGroupTrip(groupId, 'I would love to join your group trip!');
+            } else if (action === 'leave') {
+                response = await API.leaveGroupTrip(groupId);
+            } else {
+                response = await API.approveGroupMember(groupId, btn.getAttribute('data-member-id'), action === 'approve');
+            }
+            
+            if (response.success) {
+                showNotification(response.message);
+                loadGroupTrips();
+            } else {
+                showNotification(response.message, true);
+                btn.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error updating group trip:', error);
+            showNotification('Network error. Please try again.', true);
+            btn.disabled = false;
+        }
+    });
+    
+    // Check whether a traveler's trip overlaps a date range
+    function tripOverlapsRange(traveler, range) {
+        if (isNaN(traveler.startDate.getTime()) || isNaN(traveler.endDate.getTime())) return false;
+        return traveler.startDate <= range.end && traveler.endDate >= range.start;
+    }
+    
+    // Build the month chips from the months the travelers' trips span
+    function renderDateFilters(locationTravelers) {
+        if (!travelersFilter) return;
+        
+        const months = {};
+        locationTravelers.forEach(traveler => {
+            if (isNaN(traveler.startDate.getTime()) || isNaN(traveler.endDate.getTime())) return;
+            
+            const month = new Date(traveler.startDate.getFullYear(), traveler.startDate.getMonth(), 1);
+            // Cap long trips so a bad end date can't produce hundreds of chips
+            for (let i = 0; i < 24 && month <= traveler.endDate; i++) {
+                months[month.getTime()] = new Date(month);
+                month.setMonth(month.getMonth() + 1);
+            }
+        });
+        
+        const monthChips = Object.keys(months)
+            .sort((a, b) => a - b)
+            .map(time => {
+                const label = months[time].toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+                return `<span class="filter-item" data-filter="month" data-month="${time}">${label}</span>`;
+            })
+            .join('');
+        
+        travelersFilter.innerHTML = `
+            <span class="filter-item active" data-filter="all">All</span>
+            ${monthChips}
+            <span class="filter-item" data-filter="custom"><i class="fas fa-calendar-alt"></i> Dates</span>
+        `;
+        
+        if (dateRangePicker) {
+            dateRangePicker.style.display = 'none';
+        }
+    }
+    
+    // Mark a filter chip as the active one
+    function setActiveFilter(filter) {
+        travelersFilter.querySelectorAll('.filter-item').forEach(item => {
+            item.classList.toggle('active', item === filter);
+        });
+    }
+    
+    // Score every other traveler against the current user's preferences and own trip here
+    function scoreTravelers(locationTravelers) {
+        const ownTraveler = locationTravelers.find(traveler => traveler.isCurrentUser);
+        const myProfile = Compatibility.buildProfile(Session.getUser(), ownTraveler ? ownTraveler.trip : null);
+        
+        locationTravelers.forEach(traveler => {
+            traveler.match = traveler.isCurrentUser ? null : Compatibility.score(myProfile, traveler.profile);
+        });
+    }
+    
+    // Render the current location's travelers, honoring the selected date range, sort and minimum match
+    function renderTravelers() {
+        const locationTravelers = travelers[currentLocationId] || [];
+        scoreTravelers(locationTravelers);
+        
+        const minMatch = travelersMinMatch ? Number(travelersMinMatch.value) : 0;
+        const sortBy = travelersSort ? travelersSort.value : 'match';
+        const hasFilters = Boolean(travelerDateFilter) || minMatch > 0;
+        
+        const visibleTravelers = locationTravelers
+            .filter(traveler => !travelerDateFilter || tripOverlapsRange(traveler, travelerDateFilter))
+            .filter(traveler => minMatch === 0 || (traveler.match && traveler.match.score >= minMatch))
+            .sort((a, b) => {
+                if (sortBy === 'dates') {
+                    return a.startDate - b.startDate;
+                }
+                // Best match first; the current user's own trip goes last
+                return (b.match ? b.match.score : -1) - (a.match ? a.match.score : -1);
+            });
+        
+        // Clear loading indicator
+        travelersList.innerHTML = '';
+        
+        // Display travelers
+        if (visibleTravelers.length > 0) {
+            visibleTravelers.forEach(traveler => {
+                const travelerCard = document.createElement('div');
+                travelerCard.className = 'traveler-card';
+                
+                const interestsHTML = traveler.interests.map(interest => `
+                    <div class="traveler-interest">${SafeHtml.escape(interest)}</div>
+                `).join('');
+                
+                const matchHTML = traveler.match ? `
+                    <div class="traveler-match">
+                        <span class="traveler-match-score">${traveler.match.score}% match</span>
+                        ${traveler.match.reasons.slice(0, 2).map(reason => `
+                            <span class="traveler-match-reason"><i class="fas fa-check"></i> ${SafeHtml.escape(reason)}</span>
+                        `).join('')}
+                    </div>
+                ` : '';
+                
+                travelerCard.innerHTML = `
+                    <div class="traveler-header">
+                        <div class="traveler-header">
+    <div class="traveler-header">
+    <div class="traveler-avatar">
+        ${SafeHtml.isUrl(traveler.avatar) ? 
+          `<img src="${SafeHtml.url(traveler.avatar)}" alt="${SafeHtml.escape(traveler.name)}'s avatar">` : 
+          `<div class="avatar-initial">${SafeHtml.escape(traveler.avatar || traveler.name.charAt(0))}</div>`
+        }
+    </div>
+                        <div>
+                            <div class="traveler-name">${SafeHtml.escape(traveler.name)}</div>
+                            <div class="traveler-status">${SafeHtml.escape(traveler.status)} · ${traveler.verified ? 'Verified' : 'Basic'}</div>
+                        </div>
+                    </div>
+                    ${matchHTML}
+                    <div class="traveler-dates">
+                        <i class="fas fa-calendar"></i> ${SafeHtml.escape(traveler.dates)}
+                    </div>
+                    <div class="traveler-interests">
+                        ${interestsHTML}
+                    </div>
+                    <button class="connect-btn" data-user-id="${SafeHtml.escape(traveler.userId)}">
+                        <i class="fas fa-user-plus"></i> Connect
+                    </button>
+                `;
+                
+                travelersList.appendChild(travelerCard);
+            });
+            
+            // Add event listeners to connect buttons
+            travelersList.querySelectorAll('.connect-btn[data-user-id]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const userId = btn.getAttribute('data-user-id');
+                    
+                    // Prevent connecting to self
+                    if (userId === currentUser.UserID) {
+                        alert('You cannot connect with yourself.');
+                        return;
+                    }
+                    
+                    openInviteComposer(locationTravelers.find(traveler => traveler.userId === userId), btn);
+                });
+            });
+            
+            // Animation for traveler cards
+            setTimeout(() => {
+                const travelerCards = travelersList.querySelectorAll('.traveler-card');
+                travelerCards.forEach((card, index) => {
+                    card.style.opacity = '0';
+                    card.style.transform = 'translateY(20px)';
+                    card.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
+                    
+                    setTimeout(() => {
+                        card.style.opacity = '1';
+                        card.style.transform = 'translateY(0)';
+                    }, 100 + (index * 100));
+                });
+            }, 300);
+        } else {
+            // Show a message if no travelers are found
+            travelersList.innerHTML = `
+                <div style="grid-column: 1/-1; text-align: center; padding: 2rem;">
+                    <i class="fas fa-user-slash" style="font-size: 2rem; color: var(--text-tertiary); margin-bottom: 1rem; display: block;"></i>
+                    <p>${hasFilters ? 'No travelers match these filters.' : 'No travelers available for this location yet.'}</p>
+                </div>
+            `;
+        }
+    }
+    
+    // Invite composer: pick one of your trips to this destination and write a message
+    const inviteComposer = document.getElementById('invite-composer');
+    const inviteComposerForm = inviteComposer ? inviteComposer.querySelector('.invite-composer') : null;
+    let inviteComposerTarget = null;
+    
+    async function openInviteComposer(traveler, connectBtn) {
+        if (!inviteComposerForm || !traveler) return;
+        
+        inviteComposerTarget = { traveler, connectBtn };
+        const destinationName = detailLocationName.textContent.split(',')[0].trim();
+        const tripSelect = inviteComposerForm.elements.tripId;
+        
+        inviteComposerForm.querySelector('.invite-composer-name').textContent = traveler.name;
+        inviteComposerForm.elements.message.value = `Hi ${traveler.name.split(' ')[0]}! I noticed we'll both be in ${destinationName}. Would you like to connect?`;
+        inviteComposerForm.elements.sendEmail.checked = true;
+        tripSelect.innerHTML = '<option value="">Loading your trips...</option>';
+        tripSelect.disabled = true;
+        inviteComposer.classList.add('active');
+        
+        let trips = [];
+        try {
+            const response = await API.getUserTrips(currentUser.UserID);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            
+            // Only upcoming trips to this destination can be shared
+            if (response.success && response.trips) {
+                trips = response.trips.filter(trip =>
+                    String(trip.Destination).toLowerCase().includes(destinationName.toLowerCase()) &&
+                    new Date(trip.EndDate) >= today);
+            }
+        } catch (error) {
+            console.error('Error loading trips for invite:', error);
+        }
+        
+        tripSelect.innerHTML = '<option value="">No specific trip</option>' + trips.map(trip => {
+            const startDate = new Date(trip.StartDate);
+            const endDate = new Date(trip.EndDate);
+            const dates = `${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+            return `<option value="${SafeHtml.escape(trip.TripID)}">${SafeHtml.escape(trip.Destination)} (${dates})</option>`;
+        }).join('');
+        tripSelect.value = trips.length > 0 ? trips[0].TripID : '';
+        tripSelect.disabled = false;
+    }
+    
+    function closeInviteComposer() {
+        inviteComposer.classList.remove('active');
+        inviteComposerTarget = null;
+    }
+    
+    if (inviteComposerForm) {
+        inviteComposerForm.querySelector('.invite-composer-close').addEventListener('click', closeInviteComposer);
+        inviteComposerForm.querySelector('.invite-composer-cancel').addEventListener('click', closeInviteComposer);
+        inviteComposer.addEventListener('click', (e) => {
+            if (e.target === inviteComposer) {
+                closeInviteComposer();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && inviteComposer.classList.contains('active')) {
+                closeInviteComposer();
+            }
+        });
+        
+        inviteComposerForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!inviteComposerTarget) return;
+            
+            const { traveler, connectBtn } = inviteComposerTarget;
+            const sendBtn = inviteComposerForm.querySelector('.save-btn');
+            sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            sendBtn.disabled = true;
+            
+            try {
+                const response = await API.createInvite({
+                    senderId: currentUser.UserID,
+                    receiverId: traveler.userId,
+                    tripId: inviteComposerForm.elements.tripId.value,
+                    message: inviteComposerForm.elements.message.value.trim(),
+                    sendEmail: inviteComposerForm.elements.sendEmail.checked
+                });
+                
+                if (response.success) {
+                    closeInviteComposer();
+                    connectBtn.innerHTML = '<i class="fas fa-check"></i> Invite Sent';
+                    connectBtn.style.backgroundColor = '#4ade80';
+                    connectBtn.disabled = true;
+                    showNotification(`Invite sent to ${traveler.name}`);
+                } else {
+                    showNotification('Error sending invitation: ' + response.message, true);
+                }
+            } catch (error) {
+                console.error('Error sending invitation:', error);
+                showNotification('Network error. Please try again.', true);
+            } finally {
+                sendBtn.innerHTML = 'Send Invite';
+                sendBtn.disabled = false;
+            }
+        });
+    }
+    
+    // Date filter chips: "All", one per month with trips, and a custom range
+    if (travelersFilter) {
+        travelersFilter.addEventListener('click', (e) => {
+            const item = e.target.closest('.filter-item');
+            if (!item) return;
+            
+            const filter = item.getAttribute('data-filter');
+            
+            if (filter === 'custom') {
+                // Just reveal the picker; the range is applied from there
+                if (dateRangePicker) {
+                    dateRangePicker.style.display = dateRangePicker.style.display === 'none' ? 'flex' : 'none';
+                }
+                return;
+            }
+            
+            setActiveFilter(item);
+            if (dateRangePicker) {
+                dateRangePicker.style.display = 'none';
+            }
+            
+            if (filter === 'month') {
+                const start = new Date(Number(item.getAttribute('data-month')));
+                const end = new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999);
+                travelerDateFilter = { start, end };
+            } else {
+                travelerDateFilter = null;
+            }
+            
+            renderTravelers();
+        });
+    }
+    
+    [travelersSort, travelersMinMatch].forEach(control => {
+        if (control) {
+            control.addEventListener('change', renderTravelers);
+        }
+    });
+    
+    if (dateRangePicker) {
+        dateRangePicker.querySelector('.date-range-apply').addEventListener('click', () => {
+            if (!dateRangeStart.value || !dateRangeEnd.value) {
+                showNotification('Please choose both travel dates.', true);
+                return;
+            }
+            
+            // Parse as local dates covering the whole of both days
+            const start = new Date(`${dateRangeStart.value}T00:00:00`);
+            const end = new Date(`${dateRangeEnd.value}T23:59:59.999`);
+            if (end < start) {
+                showNotification('The end date must be after the start date.', true);
+                return;
+            }
+            
+            travelerDateFilter = { start, end };
+            setActiveFilter(travelersFilter.querySelector('.filter-item[data-filter="custom"]'));
+            renderTravelers();
+        });
+        
+        dateRangePicker.querySelector('.date-range-clear').addEventListener('click', () => {
+            dateRangeStart.value = '';
+            dateRangeEnd.value = '';
+            dateRangePicker.style.display = 'none';
+            travelerDateFilter = null;
+            setActiveFilter(travelersFilter.querySelector('.filter-item[data-filter="all"]'));
+            renderTravelers();
+        });
+    }
+    
+    // Back button functionality
+    if (backButton) {
+        backButton.addEventListener('click', () => {
+            locationDetail.classList.remove('active');
+            setTimeout(() => {
+                locationDetail.style.display = 'none';
+            }, 300);
+        });
+    }
+    
+    // Camera tool hover effect
+    const cameraTool = document.querySelector('.camera-tool');
+    
+    if (cameraTool) {
+        cameraTool.addEventListener('mouseenter', () => {
+            cameraTool.style.transform = 'scale(1.1)';
+            cameraTool.style.boxShadow = '0 8px 25px rgba(0, 120, 255, 0.5)';
+        });
+        
+        cameraTool.addEventListener('mouseleave', () => {
+            cameraTool.style.transform = 'scale(1)';
+            cameraTool.style.boxShadow = '0 5px 20px rgba(0, 120, 255, 0.4)';
+        });
+        
+        cameraTool.addEventListener('click', () => {
+            // Camera tool animation
+            cameraTool.style.transform = 'scale(0.9)';
+            setTimeout(() => {
+                cameraTool.style.transform = 'scale(1.1)';
+            }, 100);
+            setTimeout(() => {
+                cameraTool.style.transform = 'scale(1)';
+            }, 200);
+            
+            // Show camera scan overlay - this would be implemented in a real app
+            // Simply showing an alert for demonstration
+            alert("Camera Recognition Tool activated! Take a photo of a landmark or location to identify it and find nearby travelers.");
+        });
+    }
+    
+    // Load channels and set up chat functionality
+    const channelsList = document.querySelector('.channels-list');
+    const chatContainer = document.querySelector('.chat-container');
+    const chatTitle = document.querySelector('.chat-title');
+    const onlineIndicator = document.querySelector('.online-indicator');
+    const messagesContainer = document.querySelector('.chat-messages');
+    const chatInput = document.querySelector('.chat-input');
+    const sendButton = document.querySelector('.chat-send');
+    const channelItems = document.querySelector('.channel-items');
+    const dmList = document.querySelector('.dm-list');
+    const channelActions = document.querySelector('.channel-actions');
+    const composeContext = document.querySelector('.chat-compose-context');
+    // Moderators and admins (Role, see isModerator in the backend) can hide messages and review reports
+    const isModerator = currentUser.Role === 'moderator' || currentUser.Role === 'admin';
+    const channelsHeading = `
+        <h3>
+            Destination Channels
+            <span class="channel-heading-actions">
+                ${isModerator ? '<button type="button" class="report-queue-btn" title="Review reports"><i class="fas fa-flag"></i></button>' : ''}
+                <button type="button" class="channel-create-btn" title="Create a channel"><i class="fas fa-plus"></i></button>
+            </span>
+        </h3>
+    `;
+    // How often the open channel reports that we're still here
+    const PRESENCE_INTERVAL = 60000;
+    // Same list as CONFIG.MESSAGES.REACTIONS in the backend
+    const MESSAGE_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+    // Same reasons as CONFIG.MODERATION.REPORT_REASONS in the backend
+    const REPORT_REASONS = {
+        spam: 'Spam',
+        harassment: 'Harassment or bullying',
+        hate: 'Hate speech',
+        scam: 'Scam or fraud',
+        inappropriate: 'Inappropriate content',
+        other: 'Something else'
+    };
+    
+    let currentChannelId = '';
+    // User ID of the open direct message conversation (empty while a channel is open)
+    let currentDmUserId = '';
+    // Paging state for older history of the open channel or conversation
+    let chatHistory = { thread: null, olderCursor: '', hasOlder: false, loading: false };
+    // Channels from the last load, with the current user's membership
+    let channelsById = {};
+    // Messages on screen by ID, for replying, editing and reacting
+    let shownMessages = {};
+    // Reply or edit in progress in the chat input ({ mode: 'reply' | 'edit', message })
+    let compose = { mode: '', message: null };
+    
+    // Load the channels visible to the current user. The open channel stays open; pass a
+    // channel ID to open that one instead (e.g. one that was just created)
+    async function loadChannels(selectChannelId = '') {
+        if (!channelItems) return;
+        
+        try {
+            const response = await API.getAllChannels();
+            
+            if (response.success && response.channels && response.channels.length > 0) {
+                // Clear out the template channels except for the heading
+                channelItems.innerHTML = channelsHeading;
+                channelsById = {};
+                
+                // The first channel opens by default, unless a conversation is already open
+                const channelIds = response.channels.map(channel => channel.ChannelID);
+                let activeChannelId = '';
+                if (!currentDmUserId) {
+                    activeChannelId = [selectChannelId, currentChannelId].find(id => id && channelIds.includes(id)) || channelIds[0];
+                }
+                
+                // Add each channel
+                response.channels.forEach((channel, index) => {
+                    channelsById[channel.ChannelID] = channel;
+                    
+                    const channelItem = document.createElement('div');
+                    channelItem.className = 'channel-item';
+                    if (channel.membership === 'owner' || channel.membership === 'member') {
+                        channelItem.classList.add('joined');
+                    }
+                    if (channel.ChannelID === activeChannelId) channelItem.classList.add('active');
+                    
+                    // Fix for missing channel name - use Region as fallback or a generic name
+                    const channelName = channel.Name || channel.Region || `Channel ${index + 1}`;
+                    channel.Name = channelName;
+                    // Private channels get a lock, the rest an icon based on region
+                    const iconClass = channel.Visibility === 'private' ? 'fa-lock' : getIconForRegion(channel.Region);
+                    let count = channel.MemberCount || '0';
+                    if (channel.Status === 'pending') {
+                        count = 'Pending';
+                    } else if (channel.membership === 'invited') {
+                        count = 'Invited';
+                    }
+                    
+                    channelItem.dataset.channelId = channel.ChannelID;
+                    channelItem.innerHTML = `
+                        <div class="channel-icon">
+                            <i class="fas ${iconClass}"></i>
+                        </div>
+                        <div class="channel-name"></div>
+                        <div class="channel-count">${count}</div>
+                    `;
+                    channelItem.querySelector('.channel-name').textContent = channelName;
+                    
+                    channelItem.addEventListener('click', () => {
+                        // Update active channel
+                        document.querySelectorAll('.channel-item').forEach(item => {
+                            item.classList.remove('active');
+                        });
+                        channelItem.classList.add('active');
+                        
+                        // Load channel messages
+                        currentDmUserId = '';
+                        loadChannelMessages(channel.ChannelID);
+                        showChannelHeader(channel);
+                    });
+                    
+                    channelItems.appendChild(channelItem);
+                    
+                    // Load messages for the open channel, unless they are already showing
+                    if (channel.ChannelID === activeChannelId) {
+                        if (channel.ChannelID !== currentChannelId || selectChannelId) {
+                            loadChannelMessages(channel.ChannelID);
+                        }
+                        showChannelHeader(channel);
+                    }
+                });
+            } else {
+                // Show empty state
+                channelItems.innerHTML = `
+                    ${channelsHeading}
+                    <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                        <i class="fas fa-globe" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                        <p>No channels available</p>
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('Error loading channels:', error);
+            // Show error state
+            channelItems.innerHTML = `
+                ${channelsHeading}
+                <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                    <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                    <p>Error loading channels. Please try again.</p>
+                </div>
+            `;
+        }
+    }
+    
+    // Show the open channel's title, online count and what the current user can do there
+    function showChannelHeader(channel) {
+        if (chatTitle) chatTitle.textContent = channel.Name;
+        showOnlineCount(channel.OnlineCount);
+        
+        if (channelActions) {
+            let actions = '';
+            if (channel.Status === 'pending') {
+                actions = '<span class="channel-status">Awaiting approval</span>';
+            } else if (channel.membership === 'member') {
+                actions = '<button type="button" class="cancel-btn channel-leave-btn">Leave</button>';
+            } else if (channel.membership === 'invited') {
+                actions = '<button type="button" class="accept-btn channel-join-btn">Accept Invite</button>';
+            } else if (!channel.membership) {
+                actions = '<button type="button" class="accept-btn channel-join-btn">Join</button>';
+            }
+            if (channel.membership === 'owner' && channel.Visibility === 'private') {
+                actions += '<button type="button" class="accept-btn channel-invite-btn"><i class="fas fa-user-plus"></i> Invite</button>';
+            }
+            channelActions.innerHTML = actions;
+        }
+        
+        sendPresenceHeartbeat();
+    }
+    
+    function showOnlineCount(count) {
+        if (onlineIndicator) {
+            onlineIndicator.innerHTML = `
+                <div class="indicator-dot"></div>
+                ${count || '0'} travelers online
+            `;
+        }
+    }
+    
+    // Tell the backend we're viewing the open channel; it counts travelers seen in the last few minutes
+    async function sendPresenceHeartbeat() {
+        const channelId = currentChannelId;
+        if (!channelId || currentDmUserId || document.hidden || !document.querySelector('.tab[data-tab="community"].active')) {
+            return;
+        }
+        
+        const response = await API.channelHeartbeat(channelId);
+        if (response.success && channelId === currentChannelId && !currentDmUserId) {
+            showOnlineCount(response.onlineCount);
+        }
+    }
+    
+    setInterval(sendPresenceHeartbeat, PRESENCE_INTERVAL);
+    
+    if (channelActions) {
+        channelActions.addEventListener('click', async (e) => {
+            const channel = channelsById[currentChannelId];
+            const button = e.target.closest('button');
+            if (!channel || !button) return;
+            
+            if (button.classList.contains('channel-invite-btn')) {
+                openChannelInvite(channel);
+                return;
+            }
+            
+            const leaving = button.classList.contains('channel-leave-btn');
+            if (leaving && !confirm(`Leave ${channel.Name}?`)) return;
+            
+            button.disabled = true;
+            const response = leaving ? await API.leaveChannel(channel.ChannelID) : await API.joinChannel(channel.ChannelID);
+            if (response.success) {
+                showNotification(response.message);
+                loadChannels();
+            } else {
+                button.disabled = false;
+                showNotification(response.message, true);
+            }
+        });
+    }
+    
+    // Channel composer: create a channel for a destination or one of your trips
+    const channelComposer = document.getElementById('channel-composer');
+    const channelComposerForm = channelComposer ? channelComposer.querySelector('.invite-composer') : null;
+    
+    async function openChannelComposer() {
+        if (!channelComposerForm) return;
+        
+        channelComposerForm.reset();
+        const destinationSelect = channelComposerForm.elements.destinationId;
+        const tripSelect = channelComposerForm.elements.tripId;
+        destinationSelect.innerHTML = '<option value="">Loading destinations...</option>';
+        tripSelect.innerHTML = '<option value="">Loading your trips...</option>';
+        destinationSelect.disabled = true;
+        tripSelect.disabled = true;
+        channelComposer.classList.add('active');
+        
+        const [destinations, trips] = await Promise.all([
+            API.getAllDestinations(),
+            API.getUserTrips(currentUser.UserID)
+        ]);
+        
+        fillDestinationOptions(destinationSelect, destinations, 'No specific destination');
+        fillTripOptions(tripSelect, trips, 'No specific trip');
+        destinationSelect.disabled = false;
+        tripSelect.disabled = false;
+    }
+    
+    // Fill a select with the destination catalog (a getAllDestinations response)
+    function fillDestinationOptions(select, response, emptyLabel) {
+        select.innerHTML = `<option value="">${SafeHtml.escape(emptyLabel)}</option>`;
+        (response.success && response.destinations ? response.destinations : []).forEach(destination => {
+            const option = document.createElement('option');
+            option.value = destination.DestinationID;
+            option.textContent = `${destination.Name}${destination.Country ? ', ' + destination.Country : ''}`;
+            select.appendChild(option);
+        });
+    }
+    
+    // Fill a select with the current user's upcoming trips (a getUserTrips response)
+    function fillTripOptions(select, response, emptyLabel, filter = () => true) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        select.innerHTML = `<option value="">${SafeHtml.escape(emptyLabel)}</option>`;
+        (response.success && response.trips ? response.trips : []).filter(trip => new Date(trip.EndDate) >= today && filter(trip)).forEach(trip => {
+            const option = document.createElement('option');
+            option.value = trip.TripID;
+            option.textContent = `${trip.Destination} (${new Date(trip.StartDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})`;
+            select.appendChild(option);
+        });
+    }
+    
+    // Channel invite: pick one of your connections to invite to a private channel
+    const channelInvite = document.getElementById('channel-invite');
+    const channelInviteForm = channelInvite ? channelInvite.querySelector('.invite-composer') : null;
+    let channelInviteTarget = null;
+    
+    async function openChannelInvite(channel) {
+        if (!channelInviteForm) return;
+        
+        channelInviteTarget = channel;
+        const inviteeSelect = channelInviteForm.elements.inviteeId;
+        channelInviteForm.querySelector('.invite-composer-name').textContent = channel.Name;
+        inviteeSelect.innerHTML = '<option value="">Loading your connections...</option>';
+        inviteeSelect.disabled = true;
+        channelInvite.classList.add('active');
+        
+        const response = await API.getUserConnections(currentUser.UserID);
+        const connections = response.success && response.connections
+            ? response.connections.filter(connection => connection.Status === 'connected' && connection.otherUser)
+            : [];
+        
+        inviteeSelect.innerHTML = connections.length > 0
+            ? '<option value="">Choose a connection</option>'
+            : '<option value="">Connect with travelers to invite them</option>';
+        connections.forEach(connection => {
+            const option = document.createElement('option');
+            option.value = connection.otherUser.userId;
+            option.textContent = `${connection.otherUser.firstName} ${connection.otherUser.lastName}`;
+            inviteeSelect.appendChild(option);
+        });
+        inviteeSelect.disabled = false;
+    }
+    
+    // Share composer: post a trip, destination or location pin as a card in the open chat
+    const chatShare = document.getElementById('chat-share');
+    const chatShareForm = chatShare ? chatShare.querySelector('.invite-composer') : null;
+    const chatShareButton = document.querySelector('.chat-share');
+    
+    function showChatShareFields() {
+        const type = chatShareForm.elements.type.value;
+        chatShareForm.querySelectorAll('[data-share-type]').forEach(fields => {
+            fields.style.display = fields.dataset.shareType === type ? '' : 'none';
+        });
+    }
+    
+    async function openChatShare() {
+        if (!chatShareForm || (!currentChannelId && !currentDmUserId)) return;
+        
+        chatShareForm.reset();
+        showChatShareFields();
+        const destinationSelect = chatShareForm.elements.destinationId;
+        const tripSelect = chatShareForm.elements.tripId;
+        destinationSelect.innerHTML = '<option value="">Loading destinations...</option>';
+        tripSelect.innerHTML = '<option value="">Loading your trips...</option>';
+        destinationSelect.disabled = true;
+        tripSelect.disabled = true;
+        chatShare.classList.add('active');
+        
+        const [destinations, trips] = await Promise.all([
+            API.getAllDestinations(),
+            API.getUserTrips(currentUser.UserID)
+        ]);
+        
+        // Private trips can't be shared
+        fillDestinationOptions(destinationSelect, destinations, 'Choose a destination');
+        fillTripOptions(tripSelect, trips, 'Choose a trip', trip => trip.Privacy !== 'private');
+        destinationSelect.disabled = false;
+        tripSelect.disabled = false;
+    }
+    
+    if (chatShareButton) {
+        chatShareButton.addEventListener('click', openChatShare);
+    }
+    
+    if (chatShareForm) {
+        chatShareForm.elements.type.addEventListener('change', showChatShareFields);
+        
+        chatShareForm.querySelector('.chat-share-locate').addEventListener('click', () => {
+            if (!navigator.geolocation) {
+                showNotification('Your browser cannot share its location', true);
+                return;
+            }
+            navigator.geolocation.getCurrentPosition(position => {
+                chatShareForm.elements.latitude.value = position.coords.latitude.toFixed(6);
+                chatShareForm.elements.longitude.value = position.coords.longitude.toFixed(6);
+            }, () => showNotification('Could not get your location', true));
+        });
+        
+        chatShareForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!currentChannelId && !currentDmUserId) return;
+            
+            const elements = chatShareForm.elements;
+            const type = elements.type.value;
+            const payload = {
+                trip: { tripId: elements.tripId.value },
+                destination: { destinationId: elements.destinationId.value },
+                location: { name: elements.locationName.value.trim(), latitude: elements.latitude.value, longitude: elements.longitude.value }
+            }[type];
+            
+            if ((type === 'trip' && !payload.tripId) || (type === 'destination' && !payload.destinationId)) {
+                showNotification(`Choose a ${type} to share`, true);
+                return;
+            }
+            
+            const shareBtn = chatShareForm.querySelector('.save-btn');
+            shareBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sharing...';
+            shareBtn.disabled = true;
+            
+            try {
+                const response = await API.sendMessage({
+                    senderId: currentUser.UserID,
+                    channelId: currentDmUserId ? '' : currentChannelId,
+                    receiverId: currentDmUserId || '',
+                    content: elements.content.value.trim(),
+                    type: type,
+                    payload: payload
+                });
+                
+                if (response.success) {
+                    chatShare.classList.remove('active');
+                    // The poller adds the card with the rest of the thread
+                    ChatUpdates.refresh();
+                    if (currentDmUserId) {
+                        loadConversations();
+                    } else if (channelsById[currentChannelId] && !channelsById[currentChannelId].membership) {
+                        loadChannels();
+                    }
+                } else {
+                    showNotification(response.message, true);
+                }
+            } catch (error) {
+                console.error('Error sharing in chat:', error);
+                showNotification('Network error. Please try again.', true);
+            } finally {
+                shareBtn.innerHTML = 'Share';
+                shareBtn.disabled = false;
+            }
+        });
+    }
+    
+    // Report composer: report a message or a traveler to the moderators
+    const reportComposer = document.getElementById('report-composer');
+    const reportComposerForm = reportComposer ? reportComposer.querySelector('.invite-composer') : null;
+    let reportTarget = null;
+    
+    if (reportComposerForm) {
+        reportComposerForm.elements.reason.innerHTML = '<option value="">Choose a reason</option>' +
+            Object.keys(REPORT_REASONS).map(reason => `<option value="${reason}">${REPORT_REASONS[reason]}</option>`).join('');
+    }
+    
+    function openReportComposer(targetType, targetId, name) {
+        if (!reportComposerForm) return;
+        
+        reportTarget = { targetType, targetId };
+        reportComposerForm.reset();
+        reportComposerForm.querySelector('.invite-composer-name').textContent = name;
+        reportComposer.classList.add('active');
+    }
+    
+    if (reportComposerForm) {
+        reportComposerForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!reportTarget) return;
+            
+            const reportBtn = reportComposerForm.querySelector('.save-btn');
+            reportBtn.disabled = true;
+            const response = await API.reportContent(reportTarget.targetType, reportTarget.targetId,
+                reportComposerForm.elements.reason.value, reportComposerForm.elements.details.value.trim());
+            reportBtn.disabled = false;
+            
+            if (response.success) {
+                reportComposer.classList.remove('active');
+                showNotification(response.message);
+            } else {
+                showNotification(response.message || 'Could not send the report', true);
+            }
+        });
+    }
+    
+    // Review queue: moderators close reports, hiding reported messages or dismissing the report
+    const reportQueue = document.getElementById('report-queue');
+    const reportQueueList = reportQueue ? reportQueue.querySelector('.report-queue-list') : null;
+    const reportQueueStatus = reportQueue ? reportQueue.querySelector('.report-queue-status') : null;
+    let shownReports = {};
+    
+    async function openReportQueue() {
+        if (!reportQueue || !isModerator) return;
+        
+        reportQueue.classList.add('active');
+        reportQueueList.innerHTML = '<p class="report-queue-empty"><i class="fas fa-spinner fa-spin"></i> Loading reports...</p>';
+        
+        const response = await API.getReports(reportQueueStatus.value);
+        if (!response.success) {
+            reportQueueList.innerHTML = `<p class="report-queue-empty">${SafeHtml.escape(response.message || 'Could not load reports')}</p>`;
+            return;
+        }
+        
+        shownReports = {};
+        response.reports.forEach(report => {
+            shownReports[report.ReportID] = report;
+        });
+        reportQueueList.innerHTML = response.reports.length > 0
+            ? response.reports.map(createReportMarkup).join('')
+            : '<p class="report-queue-empty">No reports here</p>';
+    }
+    
+    function createReportMarkup(report) {
+        const createdAt = new Date(report.CreatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        const moderationLabels = { held: 'Held for review', hidden: 'Hidden' };
+        let target;
+        
+        if (report.TargetType === 'user') {
+            target = `<div class="report-meta">Traveler</div><p>${SafeHtml.escape(report.targetUserName)}</p>`;
+        } else if (report.target) {
+            target = `
+                <div class="report-meta">
+                    Message by ${SafeHtml.escape(report.targetUserName)}${report.target.channelName ? ` in ${SafeHtml.escape(report.target.channelName)}` : ''}
+                    ${report.target.moderation ? ` · ${moderationLabels[report.target.moderation] || ''}` : ''}
+                    ${report.target.type === 'deleted' ? ' · Deleted' : ''}
+                </div>
+                <p>${SafeHtml.escape(report.target.content)}</p>
+            `;
+        } else {
+            target = '<div class="report-meta">The message is no longer available</div>';
+        }
+        
+        return `
+            <div class="report-item" data-report-id="${SafeHtml.escape(report.ReportID)}">
+                <div class="report-item-header">
+                    <span class="report-reason">${SafeHtml.escape(REPORT_REASONS[report.Reason] || report.Reason)}</span>
+                    <span class="report-meta">${SafeHtml.escape(report.reporterName)} · ${SafeHtml.escape(createdAt)}</span>
+                </div>
+                ${report.Details ? `<p class="report-details">${SafeHtml.escape(report.Details)}</p>` : ''}
+                <div class="report-target">${target}</div>
+                ${report.Status === 'open' ? `
+                    <div class="report-actions">
+                        <button type="button" class="cancel-btn" data-outcome="dismissed">Dismiss</button>
+                        <button type="button" class="save-btn" data-outcome="resolved">${report.TargetType === 'message' ? 'Hide message' : 'Mark resolved'}</button>
+                    </div>
+                ` : `
+                    <div class="report-meta">${report.Status === 'resolved' ? 'Resolved' : 'Dismissed'}${report.Resolution ? `: ${SafeHtml.escape(report.Resolution)}` : ''}</div>
+                `}
+            </div>
+        `;
+    }
+    
+    if (reportQueueList) {
+        reportQueueStatus.addEventListener('change', openReportQueue);
+        reportQueueList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-outcome]');
+            if (!button) return;
+            
+            const item = button.closest('.report-item');
+            const report = shownReports[item.dataset.reportId];
+            item.querySelectorAll('button').forEach(btn => {
+                btn.disabled = true;
+            });
+            
+            const response = await API.resolveReport(report.ReportID, button.dataset.outcome);
+            if (response.success) {
+                showNotification(response.message);
+                // Closing a report closes the other open reports of the same message or traveler
+                reportQueueList.querySelectorAll('.report-item').forEach(el => {
+                    const other = shownReports[el.dataset.reportId];
+                    if (other && other.TargetType === report.TargetType && other.TargetID === report.TargetID) {
+                        el.remove();
+                    }
+                });
+                if (!reportQueueList.querySelector('.report-item')) {
+                    reportQueueList.innerHTML = '<p class="report-queue-empty">No reports here</p>';
+                }
+                ChatUpdates.refresh();
+            } else {
+                item.querySelectorAll('button').forEach(btn => {
+                    btn.disabled = false;
+                });
+                showNotification(response.message || 'Could not update the report', true);
+            }
+        });
+    }
+    
+    [channelComposer, channelInvite, chatShare, reportComposer, reportQueue].forEach(modal => {
+        if (!modal) return;
+        
+        const close = () => modal.classList.remove('active');
+        modal.querySelector('.invite-composer-close').addEventListener('click', close);
+        modal.querySelector('.invite-composer-cancel').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                close();
+            }
+        });
+    });
+    
+    if (channelItems) {
+        channelItems.addEventListener('click', (e) => {
+            if (e.target.closest('.channel-create-btn')) {
+                openChannelComposer();
+            } else if (e.target.closest('.report-queue-btn')) {
+                openReportQueue();
+            }
+        });
+    }
+    
+    if (channelComposerForm) {
+        channelComposerForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const createBtn = channelComposerForm.querySelector('.save-btn');
+            createBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating...';
+            createBtn.disabled = true;
+            
+            try {
+                const response = await API.createChannel({
+                    name: channelComposerForm.elements.name.value.trim(),
+                    description: channelComposerForm.elements.description.value.trim(),
+                    visibility: channelComposerForm.elements.visibility.value,
+                    destinationId: channelComposerForm.elements.destinationId.value,
+                    tripId: channelComposerForm.elements.tripId.value
+                });
+                
+                if (response.success) {
+                    channelComposer.classList.remove('active');
+                    showNotification(response.message);
+                    currentDmUserId = '';
+                    loadChannels(response.channelId);
+                } else {
+                    showNotification(response.message, true);
+                }
+            } catch (error) {
+                console.error('Error creating channel:', error);
+                showNotification('Network error. Please try again.', true);
+            } finally {
+                createBtn.innerHTML = 'Create Channel';
+                createBtn.disabled = false;
+            }
+        });
+    }
+    
+    if (channelInviteForm) {
+        channelInviteForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!channelInviteTarget) return;
+            
+            const response = await API.inviteToChannel(channelInviteTarget.ChannelID, channelInviteForm.elements.inviteeId.value);
+            if (response.success) {
+                channelInvite.classList.remove('active');
+                showNotification(response.message);
+            } else {
+                showNotification(response.message, true);
+            }
+        });
+    }
+    
+    // Helper function to determine icon based on region
+    function getIconForRegion(region) {
+        if (!region) return 'fa-globe';
+        
+        region = region.toLowerCase();
+        
+        if (region.includes('asia') || region.includes('china') || region.includes('japan') || region.includes('korea')) {
+            return 'fa-globe-asia';
+        } else if (region.includes('europe')) {
+            return 'fa-globe-europe';
+        } else if (region.includes('america') || region.includes('usa') || region.includes('canada')) {
+            return 'fa-globe-americas';
+        } else if (region.includes('africa')) {
             return 'fa-globe-africa';
         } else if (region.includes('australia') || region.includes('oceania')) {
             return 'fa-globe-oceania';
@@ -676,6 +1765,9 @@ document.addEventListener('DOMContentLoaded', async function() {
         if (!messagesContainer) return;
         
         currentChannelId = channelId;
+        ChatUpdates.stop();
+        chatHistory = { thread: null, olderCursor: '', hasOlder: false, loading: false };
+        clearCompose();
         
         // Show loading indicator
         messagesContainer.innerHTML = `
@@ -687,36 +1779,24 @@ document.addEventListener('DOMContentLoaded', async function() {
         
         try {
             const response = await API.getChannelMessages(channelId, 50);
+            if (response.success && currentChannelId === channelId && !currentDmUserId) {
+                setChatHistory({ channelId }, response);
+                watchChatThread({ channelId }, response.cursor, response.serverTime);
+            }
             
             // Clear the messages container
             messagesContainer.innerHTML = '';
             
             if (response.success && response.messages && response.messages.length > 0) {
+                const missingSenderIds = [];
+                
                 // Add each message
                 response.messages.forEach(message => {
-                    // Format time
-                    const messageTime = new Date(message.Timestamp || message.SentAt);
-                    const hours = messageTime.getHours();
-                    const minutes = messageTime.getMinutes();
-                    const formattedTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes} ${hours >= 12 ? 'PM' : 'AM'}`;
-                    
-                    // Determine if this is the current user's message
-                    const isSentByCurrentUser = message.SenderID === currentUser.UserID;
+                    let senderName = null;
                     
-                    // Create message element
-                    const messageEl = document.createElement('div');
-                    messageEl.className = `message ${isSentByCurrentUser ? 'sent' : 'received'}`;
-                    
-                    if (isSentByCurrentUser) {
-                        messageEl.innerHTML = `
-                            <div class="message-content">
-                                <p>${message.Content}</p>
-                                <div class="message-time">${formattedTime}</div>
-                            </div>
-                        `;
-                    } else {
+                    if (message.SenderID !== currentUser.UserID) {
                         // Fetch sender user data if not already included
-                        let senderName = 'Unknown User';
+                        senderName = 'Unknown User';
                         
                         // Try to get sender name from message or sender object
                         if (message.sender && message.sender.name) {
@@ -724,49 +1804,38 @@ document.addEventListener('DOMContentLoaded', async function() {
                         } else if (message.SenderName) {
                             senderName = message.SenderName;
                         } else {
-                            // If we have the sender ID but not the name, fetch it
-                            const senderId = message.SenderID;
-                            if (senderId) {
-                                // Check if we already looked up this user during this session
-                                if (!window.userCache) window.userCache = {};
-                                
-                                if (window.userCache[senderId]) {
-                                    const cachedUser = window.userCache[senderId];
-                                    senderName = `${cachedUser.FirstName} ${cachedUser.LastName.charAt(0)}.`;
-                                } else {
-                                    // We'll still display the message, but start an async fetch for the user
-                                    (async function() {
-                                        try {
-                                            const senderResponse = await API.getUserById(senderId);
-                                            if (senderResponse.success) {
-                                                window.userCache[senderId] = senderResponse.user;
-                                                const updatedName = `${senderResponse.user.FirstName} ${senderResponse.user.LastName.charAt(0)}.`;
-                                                // Update the sender name in the DOM
-                                                const senderElements = document.querySelectorAll(`.message-sender[data-sender-id="${senderId}"]`);
-                                                senderElements.forEach(el => el.textContent = updatedName);
-                                            }
-                                        } catch (error) {
-                                            console.error('Error fetching sender info:', error);
-                                        }
-                                    })();
-                                }
+                            // Use the sender straight away if the API cache already has them
+                            const cachedSender = message.SenderID ? API.peekUser(message.SenderID) : null;
+                            
+                            if (cachedSender) {
+                                senderName = `${cachedSender.FirstName} ${cachedSender.LastName.charAt(0)}.`;
+                            } else if (message.SenderID) {
+                                // We'll still display the message and fetch the sender afterwards
+                                missingSenderIds.push(message.SenderID);
                             }
                         }
-                        
-                        messageEl.innerHTML = `
-                            <div class="message-content">
-                                <div class="message-sender" data-sender-id="${message.SenderID}">${senderName}</div>
-                                <p>${message.Content}</p>
-                                <div class="message-time">${formattedTime}</div>
-                            </div>
-                        `;
                     }
                     
-                    messagesContainer.appendChild(messageEl);
+                    messagesContainer.appendChild(createMessageElement(message, senderName));
                 });
                 
                 // Scroll to the bottom
                 messagesContainer.scrollTop = messagesContainer.scrollHeight;
+                
+                // Fetch any unknown senders in a single request and fill in their names
+                if (missingSenderIds.length > 0) {
+                    API.getUsers(missingSenderIds).then(usersResponse => {
+                        if (!usersResponse.success) return;
+                        
+                        usersResponse.users.forEach(user => {
+                            const updatedName = `${user.FirstName} ${user.LastName.charAt(0)}.`;
+                            const senderElements = messagesContainer.querySelectorAll(`.message-sender[data-sender-id="${user.UserID}"]`);
+                            senderElements.forEach(el => el.textContent = updatedName);
+                        });
+                    }).catch(error => {
+                        console.error('Error fetching sender info:', error);
+                    });
+                }
             } else {
                 // Show empty state
                 messagesContainer.innerHTML = `
@@ -776,6 +1845,10 @@ document.addEventListener('DOMContentLoaded', async function() {
                     </div>
                 `;
             }
+            
+            if (currentChannelId === channelId && !currentDmUserId) {
+                showQueuedMessages({ channelId });
+            }
         } catch (error) {
             console.error('Error loading messages:', error);
             messagesContainer.innerHTML = `
@@ -787,30 +1860,817 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
     }
     
-    // Send a message
+    // Build a chat bubble; the sender's name is shown on received channel messages. Sent
+    // messages (those with an ID) get reply and reaction actions, edit and delete for our own,
+    // report for others', and moderation actions for moderators and channel owners.
+    function createMessageElement(message, senderName = null) {
+        const messageTime = new Date(message.Timestamp || message.SentAt);
+        const hours = messageTime.getHours();
+        const minutes = messageTime.getMinutes();
+        const formattedTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes} ${hours >= 12 ? 'PM' : 'AM'}`;
+        
+        const isSentByCurrentUser = message.SenderID === currentUser.UserID;
+        const isDeleted = message.Type === 'deleted';
+        // Held or hidden messages keep their text only for the sender and moderators
+        const moderation = isDeleted ? '' : (message.Moderation || '');
+        const isConcealed = !!moderation && !isSentByCurrentUser && !isModerator;
+        const card = isDeleted || isConcealed ? '' : createMessageCard(message);
+        const reactions = message.Reactions || {};
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${isSentByCurrentUser ? 'sent' : 'received'}${moderation ? ' moderated' : ''}`;
+        if (message.MessageID) {
+            messageEl.dataset.messageId = message.MessageID;
+            shownMessages[message.MessageID] = message;
+        }
+        if (message.ClientID) {
+            messageEl.dataset.clientId = message.ClientID;
+        }
+        if (message.sendStatus) {
+            messageEl.classList.add(message.sendStatus === 'failed' ? 'failed' : 'pending');
+        }
+        messageEl.innerHTML = `
+            <div class="message-content">
+                ${!isSentByCurrentUser && senderName !== null ? `<div class="message-sender" data-sender-id="${SafeHtml.escape(message.SenderID)}">${SafeHtml.escape(senderName)}</div>` : ''}
+                ${message.parent ? `
+                    <div class="message-reply-quote" data-parent-id="${SafeHtml.escape(message.parent.messageId)}">
+                        <div class="message-reply-sender">${message.parent.senderId === currentUser.UserID ? 'You' : SafeHtml.escape(message.parent.senderName)}</div>
+                        <div class="message-reply-text">${message.parent.deleted ? 'Message deleted' : (message.parent.hidden && !message.parent.content ? 'Message hidden' : SafeHtml.escape(message.parent.content))}</div>
+                    </div>
+                ` : ''}
+                ${card}
+                ${isDeleted
+                    ? '<p class="message-deleted"><i class="fas fa-ban"></i> This message was deleted</p>'
+                    : isConcealed
+                        ? `<p class="message-deleted"><i class="fas fa-eye-slash"></i> ${moderation === 'held' ? 'This message is waiting for review' : 'This message was hidden by a moderator'}</p>`
+                        : (card && !message.Content ? '' : `<p>${SafeHtml.markdown(message.Content)}</p>`)}
+                ${moderation && !isConcealed ? `
+                    <div class="message-moderation-note">
+                        <i class="fas fa-eye-slash"></i> ${moderation === 'held' ? 'Waiting for a moderator to review' : 'Hidden by a moderator'}
+                    </div>
+                ` : ''}
+                <div class="message-time">
+                    ${formattedTime}${message.EditedAt && !isDeleted ? ' · edited' : ''}
+                    ${message.sendStatus === 'pending' ? '<i class="far fa-clock" title="Sending"></i>' : ''}
+                </div>
+            </div>
+            ${message.sendStatus === 'failed' ? `
+                <div class="message-send-failed" title="${SafeHtml.escape(message.sendError)}">
+                    <i class="fas fa-exclamation-circle"></i> Not sent
+                    <button type="button" data-outbox-action="retry">Retry</button>
+                    <button type="button" data-outbox-action="delete">Delete</button>
+                </div>
+            ` : ''}
+            ${Object.keys(reactions).length > 0 ? `
+                <div class="message-reactions">
+                    ${Object.keys(reactions).map(emoji => `
+                        <button type="button" class="message-reaction${reactions[emoji].includes(currentUser.UserID) ? ' active' : ''}" data-emoji="${SafeHtml.escape(emoji)}">
+                            ${SafeHtml.escape(emoji)} <span>${reactions[emoji].length}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${message.MessageID && !isDeleted ? createMessageActions(message, !!card, moderation) : ''}
+        `;
+        return messageEl;
+    }
+    
+    // Action bar of a sent message. Held and hidden messages can't be replied or reacted to.
+    function createMessageActions(message, isCard, moderation) {
+        const isSentByCurrentUser = message.SenderID === currentUser.UserID;
+        const channel = message.ChannelID ? channelsById[message.ChannelID] : null;
+        const canModerateSender = !isSentByCurrentUser && !!message.ChannelID &&
+            (isModerator || (!!channel && channel.membership === 'owner'));
+        const action = (name, title, icon) =>
+            `<button type="button" class="message-action" data-action="${name}" title="${title}"><i class="${icon}"></i></button>`;
+        
+        const actions = [
+            !moderation ? action('reply', 'Reply', 'fas fa-reply') : '',
+            !moderation ? action('react', 'React', 'far fa-smile') : '',
+            isSentByCurrentUser && !isCard && !moderation ? action('edit', 'Edit', 'fas fa-pen') : '',
+            isSentByCurrentUser ? action('delete', 'Delete', 'fas fa-trash') : '',
+            !isSentByCurrentUser && !moderation ? action('report', 'Report', 'far fa-flag') : '',
+            isModerator ? (moderation ? action('unhide', 'Show message', 'fas fa-eye') : action('hide', 'Hide message', 'fas fa-eye-slash')) : '',
+            canModerateSender ? action('mute', 'Mute in this channel', 'fas fa-volume-mute') : '',
+            canModerateSender ? action('ban', 'Ban from this channel', 'fas fa-user-slash') : ''
+        ].join('');
+        if (!actions) return '';
+        
+        return `
+            <div class="message-actions">
+                ${actions}
+                ${!moderation ? `
+                    <div class="message-reaction-picker">
+                        ${MESSAGE_REACTIONS.map(emoji => `<button type="button" data-emoji="${emoji}">${emoji}</button>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    // Markup for a shared trip, destination or location pin ('' for other messages)
+    function createMessageCard(message) {
+        const payload = message.Payload || {};
+        const isSentByCurrentUser = message.SenderID === currentUser.UserID;
+        const formatDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        
+        if (message.Type === 'trip') {
+            return `
+                <div class="message-card">
+                    <div class="message-card-icon"><i class="fas fa-plane-departure"></i></div>
+                    <div class="message-card-body">
+                        <div class="message-card-title">${SafeHtml.escape(payload.destination)}</div>
+                        <div class="message-card-meta">${SafeHtml.escape(formatDate(payload.startDate))} - ${SafeHtml.escape(formatDate(payload.endDate))}</div>
+                        ${payload.travelStyle && payload.travelStyle.length > 0 ? `<div class="message-card-meta">${SafeHtml.escape(payload.travelStyle.join(', '))}</div>` : ''}
+                    </div>
+                    ${!isSentByCurrentUser && message.MessageID ? '<button type="button" class="message-card-action" data-card-action="join-trip">Request to join</button>' : ''}
+                </div>
+            `;
+        }
+        
+        if (message.Type === 'destination') {
+            return `
+                <div class="message-card">
+                    <div class="message-card-image" style="background-image: ${SafeHtml.cssUrl(payload.imageUrl)}"></div>
+                    <div class="message-card-body">
+                        <div class="message-card-title">${SafeHtml.escape(payload.name)}</div>
+                        ${payload.country ? `<div class="message-card-meta">${SafeHtml.escape(payload.country)}</div>` : ''}
+                    </div>
+                    <button type="button" class="message-card-action" data-card-action="open-destination">View travelers</button>
+                </div>
+            `;
+        }
+        
+        if (message.Type === 'location') {
+            const latitude = Number(payload.latitude);
+            const longitude = Number(payload.longitude);
+            const mapUrl = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+            return `
+                <div class="message-card">
+                    <div class="message-card-icon"><i class="fas fa-map-marker-alt"></i></div>
+                    <div class="message-card-body">
+                        <div class="message-card-title">${SafeHtml.escape(payload.name)}</div>
+                        <div class="message-card-meta">${latitude.toFixed(4)}, ${longitude.toFixed(4)}${payload.destinationName ? ` · ${SafeHtml.escape(payload.destinationName)}` : ''}</div>
+                    </div>
+                    <a class="message-card-action" href="${SafeHtml.url(mapUrl)}" target="_blank" rel="noopener noreferrer">Open map</a>
+                </div>
+            `;
+        }
+        
+        return '';
+    }
+    
+    // Request to join a shared trip, or open a shared destination in the Connect tab
+    async function handleCardAction(button, message) {
+        const payload = message.Payload || {};
+        
+        if (button.dataset.cardAction === 'open-destination') {
+            showLocationInConnect(payload.destinationId, payload.name);
+            return;
+        }
+        
+        button.disabled = true;
+        const response = await API.createInvite({
+            senderId: currentUser.UserID,
+            receiverId: payload.ownerId,
+            tripId: payload.tripId,
+            message: `I'd like to join your trip to ${payload.destination}!`
+        });
+        
+        if (response.success) {
+            button.innerHTML = '<i class="fas fa-check"></i> Request sent';
+            showNotification('Request sent');
+        } else {
+            button.disabled = false;
+            showNotification(response.message, true);
+        }
+    }
+    
+    // Keep the open channel or conversation up to date while the Community tab is showing.
+    // updatedSince is the serverTime of the loaded messages, so later edits and reactions show up.
+    function watchChatThread(thread, cursor, updatedSince = 0) {
+        hideNewMessagesPill();
+        ChatUpdates.watch(thread, cursor, appendNewMessages, {
+            isActive: () => !!document.querySelector('.tab[data-tab="community"].active'),
+            onUpdates: showUpdatedMessages,
+            updatedSince: updatedSince
+        });
+    }
+    
+    // Redraw messages that were edited, deleted or reacted to, and the quotes of their replies
+    function showUpdatedMessages(messages) {
+        messages.forEach(message => {
+            const messageEl = messagesContainer.querySelector(`.message[data-message-id="${message.MessageID}"]`);
+            if (!messageEl) return;
+            
+            messageEl.replaceWith(createMessageElement(message, senderNameFor(message)));
+            messagesContainer.querySelectorAll(`.message-reply-quote[data-parent-id="${message.MessageID}"] .message-reply-text`).forEach(el => {
+                el.textContent = message.Type === 'deleted' ? 'Message deleted' : (messagePreview(message) || 'Message hidden');
+            });
+        });
+    }
+    
+    // Text that stands for a message in reply quotes: a shared card without a note shows what was shared
+    function messagePreview(message) {
+        const payload = message.Payload || {};
+        return message.Content || payload.destination || payload.name || '';
+    }
+    
+    // Reply to or edit a message from the chat input
+    function startCompose(mode, message) {
+        if (!composeContext || !chatInput) return;
+        
+        compose = { mode, message };
+        const senderName = message.SenderID === currentUser.UserID
+            ? 'yourself'
+            : (message.sender ? message.sender.name : chatTitle.textContent);
+        composeContext.querySelector('i').className = mode === 'edit' ? 'fas fa-pen' : 'fas fa-reply';
+        composeContext.querySelector('.chat-compose-text').textContent = mode === 'edit'
+            ? 'Editing message'
+            : `Replying to ${senderName}: ${messagePreview(message)}`;
+        composeContext.classList.add('visible');
+        
+        if (mode === 'edit') {
+            chatInput.value = message.Content;
+        }
+        chatInput.focus();
+    }
+    
+    function clearCompose() {
+        if (compose.mode === 'edit' && chatInput) {
+            chatInput.value = '';
+        }
+        compose = { mode: '', message: null };
+        if (composeContext) composeContext.classList.remove('visible');
+    }
+    
+    if (composeContext) {
+        composeContext.querySelector('.chat-compose-cancel').addEventListener('click', clearCompose);
+    }
+    
+    // Message actions: reply, react, edit, delete, and jumping to the message a reply quotes
+    if (messagesContainer) {
+        messagesContainer.addEventListener('click', async (e) => {
+            messagesContainer.querySelectorAll('.message-actions.open').forEach(actions => {
+                if (!actions.contains(e.target)) actions.classList.remove('open');
+            });
+            
+            const outboxAction = e.target.closest('[data-outbox-action]');
+            if (outboxAction) {
+                const queuedEl = outboxAction.closest('.message');
+                if (outboxAction.dataset.outboxAction === 'retry') {
+                    ChatOutbox.retry(queuedEl.dataset.clientId);
+                } else {
+                    ChatOutbox.remove(queuedEl.dataset.clientId);
+                    queuedEl.remove();
+                }
+                return;
+            }
+            
+            const messageEl = e.target.closest('.message[data-message-id]');
+            const message = messageEl ? shownMessages[messageEl.dataset.messageId] : null;
+            if (!message) return;
+            
+            const quote = e.target.closest('.message-reply-quote');
+            if (quote) {
+                const parentEl = messagesContainer.querySelector(`.message[data-message-id="${quote.dataset.parentId}"]`);
+                if (parentEl) {
+                    parentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    parentEl.classList.add('highlighted');
+                    setTimeout(() => parentEl.classList.remove('highlighted'), 2500);
+                }
+                return;
+            }
+            
+            const cardAction = e.target.closest('[data-card-action]');
+            if (cardAction) {
+                handleCardAction(cardAction, message);
+                return;
+            }
+            
+            const reaction = e.target.closest('[data-emoji]');
+            if (reaction) {
+                const response = await API.reactToMessage(message.MessageID, reaction.dataset.emoji);
+                if (response.success) {
+                    showUpdatedMessages([response.data]);
+                } else {
+                    showNotification(response.message || 'Could not add reaction', true);
+                }
+                return;
+            }
+            
+            const action = e.target.closest('.message-action');
+            if (!action) return;
+            
+            if (action.dataset.action === 'reply' || action.dataset.action === 'edit') {
+                startCompose(action.dataset.action, message);
+            } else if (action.dataset.action === 'react') {
+                action.closest('.message-actions').classList.toggle('open');
+            } else if (action.dataset.action === 'delete') {
+                if (!confirm('Delete this message?')) return;
+                
+                const response = await API.deleteMessage(message.MessageID);
+                if (response.success) {
+                    if (compose.message && compose.message.MessageID === message.MessageID) {
+                        clearCompose();
+                    }
+                    showUpdatedMessages([response.data]);
+                    if (currentDmUserId) loadConversations();
+                } else {
+                    showNotification(response.message || 'Could not delete message', true);
+                }
+            } else if (action.dataset.action === 'report') {
+                openReportComposer('message', message.MessageID, message.sender ? `${message.sender.name}'s message` : 'message');
+            } else if (action.dataset.action === 'hide' || action.dataset.action === 'unhide') {
+                const response = await API.moderateMessage(message.MessageID, action.dataset.action);
+                if (response.success) {
+                    showUpdatedMessages([response.data]);
+                    showNotification(response.message);
+                } else {
+                    showNotification(response.message || 'Could not update message', true);
+                }
+            } else if (action.dataset.action === 'mute' || action.dataset.action === 'ban') {
+                const name = message.sender ? message.sender.name : 'this traveler';
+                const question = action.dataset.action === 'ban'
+                    ? `Ban ${name} from this channel? They won't be able to read or rejoin it.`
+                    : `Mute ${name} in this channel? They can still read but not post for a day.`;
+                if (!confirm(question)) return;
+                
+                const response = await API.moderateChannelUser(message.ChannelID, message.SenderID, action.dataset.action);
+                showNotification(response.message || 'Could not update traveler', !response.success);
+            }
+        });
+    }
+    
+    // Add messages from the poller that aren't on screen yet
+    function appendNewMessages(messages) {
+        const fresh = messages.filter(message => {
+            if (messagesContainer.querySelector(`.message[data-message-id="${message.MessageID}"]`)) return false;
+            
+            // Our own message that is still shown from the outbox
+            const queuedEl = message.ClientID ? messagesContainer.querySelector(`.message[data-client-id="${message.ClientID}"]`) : null;
+            if (queuedEl) {
+                queuedEl.replaceWith(createMessageElement(message, senderNameFor(message)));
+                return false;
+            }
+            return true;
+        });
+        if (fresh.length === 0) return;
+        
+        // Only follow new messages if the reader is already at the bottom
+        const nearBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 80;
+        
+        // Replace the "no messages yet" state
+        if (!messagesContainer.querySelector('.message')) {
+            messagesContainer.innerHTML = '';
+        }
+        
+        fresh.forEach(message => {
+            messagesContainer.appendChild(createMessageElement(message, senderNameFor(message)));
+        });
+        
+        const received = fresh.filter(message => message.SenderID !== currentUser.UserID);
+        if (nearBottom || received.length === 0) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        } else {
+            showNewMessagesPill(received.length);
+        }
+        
+        if (currentDmUserId && received.length > 0 && !document.hidden) {
+            API.markMessagesRead(currentDmUserId);
+        }
+    }
+    
+    const newMessagesPill = document.createElement('button');
+    newMessagesPill.className = 'new-messages-pill';
+    newMessagesPill.type = 'button';
+    newMessagesPill.dataset.count = '0';
+    if (chatContainer) {
+        chatContainer.appendChild(newMessagesPill);
+    }
+    
+    function showNewMessagesPill(count) {
+        const total = Number(newMessagesPill.dataset.count) + count;
+        newMessagesPill.dataset.count = String(total);
+        newMessagesPill.innerHTML = `<i class="fas fa-arrow-down"></i> ${total} new message${total === 1 ? '' : 's'}`;
+        newMessagesPill.classList.add('visible');
+    }
+    
+    function hideNewMessagesPill() {
+        newMessagesPill.dataset.count = '0';
+        newMessagesPill.classList.remove('visible');
+    }
+    
+    newMessagesPill.addEventListener('click', () => {
+        messagesContainer.scrollTo({ top: messagesContainer.scrollHeight, behavior: 'smooth' });
+        hideNewMessagesPill();
+    });
+    
+    if (messagesContainer) {
+        messagesContainer.addEventListener('scroll', () => {
+            if (messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 20) {
+                hideNewMessagesPill();
+            }
+            if (messagesContainer.scrollTop < 80) {
+                loadOlderMessages();
+            }
+        });
+    }
+    
+    // Sender label for a message from the server (conversations don't need one)
+    function senderNameFor(message) {
+        if (currentDmUserId) return null;
+        return message.sender ? message.sender.name : 'Unknown User';
+    }
+    
+    // Fetch a page of history for a channel ({ channelId }) or conversation ({ otherUserId })
+    function fetchChatHistory(thread, limit, before = '') {
+        return thread.channelId
+            ? API.getChannelMessages(thread.channelId, limit, before)
+            : API.getDirectMessages(currentUser.UserID, thread.otherUserId, limit, before);
+    }
+    
+    function setChatHistory(thread, page) {
+        chatHistory = { thread: thread, olderCursor: page.olderCursor, hasOlder: page.hasOlder, loading: false };
+    }
+    
+    // Prepend the previous page of history when the reader scrolls to the top
+    async function loadOlderMessages() {
+        if (!chatHistory.hasOlder || chatHistory.loading) return;
+        
+        const history = chatHistory;
+        history.loading = true;
+        
+        const loader = document.createElement('div');
+        loader.className = 'chat-history-loader';
+        loader.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading older messages...';
+        messagesContainer.prepend(loader);
+        
+        const response = await fetchChatHistory(history.thread, 50, history.olderCursor);
+        loader.remove();
+        
+        // Another channel or conversation may have been opened meanwhile
+        if (chatHistory !== history) return;
+        history.loading = false;
+        if (!response.success) return;
+        
+        // Keep the messages the reader was looking at in place
+        const previousHeight = messagesContainer.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        response.messages.forEach(message => {
+            fragment.appendChild(createMessageElement(message, senderNameFor(message)));
+        });
+        messagesContainer.prepend(fragment);
+        messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+        
+        history.olderCursor = response.olderCursor;
+        history.hasOlder = response.hasOlder;
+    }
+    
+    // Load the direct message inbox: one entry per connection
+    async function loadConversations() {
+        if (!dmList || !currentUser) return;
+        
+        const response = await API.getConversations(currentUser.UserID);
+        
+        if (!response.success) {
+            dmList.innerHTML = `
+                <div style="text-align: center; padding: 1rem; color: var(--text-tertiary);">
+                    <p>Error loading conversations</p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (response.conversations.length === 0) {
+            dmList.innerHTML = `
+                <div style="text-align: center; padding: 1rem; color: var(--text-tertiary);">
+                    <p>Connect with travelers to message them</p>
+                </div>
+            `;
+            return;
+        }
+        
+        dmList.innerHTML = '';
+        response.conversations.forEach(conversation => {
+            const otherUser = conversation.otherUser;
+            const name = `${otherUser.firstName || ''} ${otherUser.lastName || ''}`.trim();
+            const lastMessage = conversation.lastMessage;
+            const preview = lastMessage
+                ? `${lastMessage.senderId === currentUser.UserID ? 'You: ' : ''}${lastMessage.deleted ? 'Message deleted' : (lastMessage.hidden ? 'Message hidden' : lastMessage.content)}`
+                : 'Say hello!';
+            
+            const dmItem = document.createElement('div');
+            dmItem.className = 'channel-item dm-item';
+            dmItem.dataset.userId = otherUser.userId;
+            if (otherUser.userId === currentDmUserId) dmItem.classList.add('active');
+            dmItem.innerHTML = `
+                <div class="channel-icon dm-avatar">${SafeHtml.escape(otherUser.avatar || otherUser.firstName?.charAt(0) || 'U')}</div>
+                <div class="dm-info">
+                    <div class="channel-name">${SafeHtml.escape(name)}</div>
+                    <div class="dm-preview"></div>
+                </div>
+                ${conversation.unreadCount > 0 ? `<div class="channel-count dm-unread">${conversation.unreadCount}</div>` : ''}
+            `;
+            dmItem.querySelector('.dm-preview').textContent = preview;
+            
+            dmItem.addEventListener('click', () => openConversation(otherUser.userId, name));
+            dmList.appendChild(dmItem);
+        });
+    }
+    
+    // Show a direct message conversation in the chat panel and mark it read
+    async function openConversation(userId, name) {
+        if (!messagesContainer) return;
+        
+        currentDmUserId = userId;
+        currentChannelId = '';
+        ChatUpdates.stop();
+        chatHistory = { thread: null, olderCursor: '', hasOlder: false, loading: false };
+        clearCompose();
+        
+        channelsList.querySelectorAll('.channel-item').forEach(item => {
+            item.classList.toggle('active', item.classList.contains('dm-item') && item.dataset.userId === userId);
+        });
+        if (chatTitle) chatTitle.textContent = name;
+        if (onlineIndicator) onlineIndicator.textContent = 'Direct message';
+        if (channelActions) channelActions.innerHTML = '';
+        
+        messagesContainer.innerHTML = `
+            <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                <div style="width: 30px; height: 30px; border: 2px solid rgba(255, 255, 255, 0.1); border-top-color: var(--text-secondary); border-radius: 50%; margin: 0 auto 1rem; animation: spin 1s linear infinite;"></div>
+                <p>Loading messages...</p>
+            </div>
+        `;
+        
+        const response = await API.getDirectMessages(currentUser.UserID, userId, 50);
+        
+        // Another channel or conversation may have been opened while this one loaded
+        if (currentDmUserId !== userId) return;
+        if (response.success) {
+            setChatHistory({ otherUserId: userId }, response);
+            watchChatThread({ otherUserId: userId }, response.cursor, response.serverTime);
+        }
+        
+        if (!response.success) {
+            messagesContainer.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                    <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                    <p>Error loading messages. Please try again.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (response.messages.length === 0) {
+            messagesContainer.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                    <i class="fas fa-comment-dots" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                    <p>No messages yet. Say hello to ${SafeHtml.escape(name)}!</p>
+                </div>
+            `;
+        } else {
+            messagesContainer.innerHTML = '';
+            response.messages.forEach(message => {
+                messagesContainer.appendChild(createMessageElement(message));
+            });
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+        showQueuedMessages({ otherUserId: userId });
+        
+        const hasUnread = response.messages.some(message =>
+            message.ReceiverID === currentUser.UserID && message.ReadStatus === 'unread');
+        if (hasUnread) {
+            const readResponse = await API.markMessagesRead(userId);
+            if (readResponse.success) {
+                const badge = dmList && dmList.querySelector(`.dm-item[data-user-id="${userId}"] .dm-unread`);
+                if (badge) badge.remove();
+            }
+        }
+    }
+    
+    // Message search: the open chat or everywhere, with results that jump to the message
+    const chatSearchInput = document.querySelector('.chat-search-input');
+    const chatSearchScope = document.querySelector('.chat-search-scope');
+    const chatSearchResults = document.querySelector('.chat-search-results');
+    let chatSearchTimer = null;
+    let chatSearchController = null;
+    
+    function closeChatSearch() {
+        if (chatSearchResults) {
+            chatSearchResults.classList.remove('visible');
+            chatSearchResults.innerHTML = '';
+        }
+    }
+    
+    async function searchChatMessages() {
+        const query = chatSearchInput.value.trim();
+        if (chatSearchController) chatSearchController.abort();
+        
+        if (query.length < 2) {
+            closeChatSearch();
+            return;
+        }
+        
+        const thread = chatSearchScope && chatSearchScope.value === 'thread' && chatHistory.thread ? chatHistory.thread : {};
+        chatSearchController = new AbortController();
+        const response = await API.searchMessages(query, thread, { signal: chatSearchController.signal });
+        if (response.error && response.error.code === API.ERROR_CODES.ABORTED) return;
+        
+        chatSearchResults.innerHTML = '';
+        chatSearchResults.classList.add('visible');
+        
+        if (!response.success || response.messages.length === 0) {
+            chatSearchResults.innerHTML = `
+                <div class="chat-search-empty">${response.success ? 'No messages found' : 'Search failed. Please try again.'}</div>
+            `;
+            return;
+        }
+        
+        response.messages.forEach(message => {
+            const sentAt = new Date(message.SentAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            const resultEl = document.createElement('button');
+            resultEl.type = 'button';
+            resultEl.className = 'chat-search-result';
+            resultEl.innerHTML = `
+                <div class="chat-search-result-meta"></div>
+                <div class="chat-search-result-text"></div>
+            `;
+            resultEl.querySelector('.chat-search-result-meta').textContent =
+                `${message.thread.name || 'Unknown'} · ${message.sender ? message.sender.name : 'Unknown User'} · ${sentAt}`;
+            highlightText(resultEl.querySelector('.chat-search-result-text'), snippetAround(String(message.Content), query), query);
+            
+            resultEl.addEventListener('click', () => showMessageInContext(message));
+            chatSearchResults.appendChild(resultEl);
+        });
+    }
+    
+    // Trim long messages to the text around the first match
+    function snippetAround(text, query) {
+        const index = text.toLowerCase().indexOf(query.toLowerCase());
+        if (text.length <= 140 || index === -1) return text;
+        
+        const start = Math.max(0, index - 60);
+        const end = Math.min(text.length, index + query.length + 60);
+        return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+    }
+    
+    // Fill an element with text, wrapping each match of the query in <mark>
+    function highlightText(element, text, query) {
+        const lowerText = text.toLowerCase();
+        const lowerQuery = query.toLowerCase();
+        let position = 0;
+        let index = lowerText.indexOf(lowerQuery);
+        
+        while (index !== -1) {
+            element.appendChild(document.createTextNode(text.slice(position, index)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(index, index + query.length);
+            element.appendChild(mark);
+            position = index + query.length;
+            index = lowerText.indexOf(lowerQuery, position);
+        }
+        element.appendChild(document.createTextNode(text.slice(position)));
+    }
+    
+    // Open the channel or conversation of a search result, scrolled to that message
+    async function showMessageInContext(result) {
+        closeChatSearch();
+        ChatUpdates.stop();
+        
+        const thread = result.thread.channelId ? { channelId: result.thread.channelId } : { otherUserId: result.thread.otherUserId };
+        currentChannelId = thread.channelId || '';
+        currentDmUserId = thread.otherUserId || '';
+        chatHistory = { thread: null, olderCursor: '', hasOlder: false, loading: false };
+        clearCompose();
+        
+        channelsList.querySelectorAll('.channel-item').forEach(item => {
+            const isActive = thread.channelId
+                ? item.dataset.channelId === thread.channelId
+                : item.classList.contains('dm-item') && item.dataset.userId === thread.otherUserId;
+            item.classList.toggle('active', isActive);
+        });
+        if (thread.channelId && channelsById[thread.channelId]) {
+            showChannelHeader(channelsById[thread.channelId]);
+        } else {
+            if (chatTitle) chatTitle.textContent = result.thread.name;
+            if (onlineIndicator) onlineIndicator.textContent = thread.otherUserId ? 'Direct message' : '';
+            if (channelActions) channelActions.innerHTML = '';
+        }
+        
+        messagesContainer.innerHTML = `
+            <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                <div style="width: 30px; height: 30px; border: 2px solid rgba(255, 255, 255, 0.1); border-top-color: var(--text-secondary); border-radius: 50%; margin: 0 auto 1rem; animation: spin 1s linear infinite;"></div>
+                <p>Loading messages...</p>
+            </div>
+        `;
+        
+        // The messages before the result come from paging back, the ones after from the poller's endpoint
+        const [older, newer] = await Promise.all([
+            fetchChatHistory(thread, 25, result.cursor),
+            API.getMessagesSince(thread, result.cursor)
+        ]);
+        if (currentChannelId !== (thread.channelId || '') || currentDmUserId !== (thread.otherUserId || '')) return;
+        
+        messagesContainer.innerHTML = '';
+        const messages = (older.success ? older.messages : []).concat([result], newer.success ? newer.messages : []);
+        messages.forEach(message => {
+            messagesContainer.appendChild(createMessageElement(message, senderNameFor(message)));
+        });
+        showQueuedMessages(thread);
+        
+        chatHistory = {
+            thread: thread,
+            olderCursor: older.success ? older.olderCursor || result.cursor : result.cursor,
+            hasOlder: older.success ? older.hasOlder : true,
+            loading: false
+        };
+        watchChatThread(thread, newer.success ? newer.cursor : result.cursor, newer.success ? newer.serverTime : 0);
+        
+        const target = messagesContainer.querySelector(`.message[data-message-id="${result.MessageID}"]`);
+        if (target) {
+            target.scrollIntoView({ block: 'center' });
+            target.classList.add('highlighted');
+            setTimeout(() => target.classList.remove('highlighted'), 2500);
+        }
+    }
+    
+    if (chatSearchInput && chatSearchResults) {
+        chatSearchInput.addEventListener('input', () => {
+            clearTimeout(chatSearchTimer);
+            chatSearchTimer = setTimeout(searchChatMessages, 300);
+        });
+        chatSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                chatSearchInput.value = '';
+                closeChatSearch();
+            }
+        });
+        if (chatSearchScope) {
+            chatSearchScope.addEventListener('change', searchChatMessages);
+        }
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.chat-search') && !e.target.closest('.chat-search-results')) {
+                closeChatSearch();
+            }
+        });
+    }
+    
+    // Switch to the Community tab and open a conversation (e.g. from a connection)
+    function openDirectMessage(userId, name) {
+        const communityTab = document.querySelector('.tab[data-tab="community"]');
+        
+        // Connections and invites live in the profile overlay, which would cover the chat
+        if (profileOverlay && profileOverlay.classList.contains('active')) {
+            profileOverlay.classList.remove('active');
+            document.body.style.overflow = '';
+        }
+        
+        // Set the conversation first so loading the channels doesn't open a channel over it
+        currentDmUserId = userId;
+        if (communityTab && !communityTab.classList.contains('active')) {
+            communityTab.click();
+        }
+        
+        openConversation(userId, name);
+    }
+    
+    // Send a message to the open channel or conversation
     async function sendMessage() {
-        if (!chatInput || !currentChannelId) return;
+        if (!chatInput || (!currentChannelId && !currentDmUserId)) return;
         
         const messageContent = chatInput.value.trim();
         if (!messageContent) return;
         
-        // Create message element
-        const messageEl = document.createElement('div');
-        messageEl.className = 'message sent';
+        if (compose.mode === 'edit') {
+            saveMessageEdit(compose.message, messageContent);
+            return;
+        }
         
-        const now = new Date();
-        const hours = now.getHours();
-        const minutes = now.getMinutes();
-        const formattedTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes} ${hours >= 12 ? 'PM' : 'AM'}`;
+        const parent = compose.mode === 'reply' ? compose.message : null;
+        clearCompose();
         
-        messageEl.innerHTML = `
-            <div class="message-content">
-                <p>${messageContent}</p>
-                <div class="message-time">${formattedTime}</div>
-            </div>
-        `;
+        // The outbox keeps the message until the backend has it, retrying if the connection drops
+        const entry = ChatOutbox.enqueue({
+            senderId: currentUser.UserID,
+            channelId: currentDmUserId ? '' : currentChannelId,
+            receiverId: currentDmUserId || '',
+            content: messageContent,
+            parentId: parent ? parent.MessageID : ''
+        }, {
+            parent: parent ? {
+                messageId: parent.MessageID,
+                senderId: parent.SenderID,
+                senderName: parent.sender ? parent.sender.name : '',
+                content: messagePreview(parent),
+                deleted: false
+            } : null
+        });
         
         // Add the message to the UI
+        if (!messagesContainer.querySelector('.message')) {
+            messagesContainer.innerHTML = '';
+        }
+        const messageEl = createMessageElement(queuedMessage(entry));
         messageEl.style.opacity = '0';
         messageEl.style.transform = 'translateY(10px)';
         
@@ -825,25 +2685,81 @@ document.addEventListener('DOMContentLoaded', async function() {
         
         // Clear the input
         chatInput.value = '';
+    }
+    
+    // A queued outbox entry as a message for createMessageElement
+    function queuedMessage(entry) {
+        return {
+            ClientID: entry.clientId,
+            SenderID: entry.data.senderId,
+            Content: entry.data.content,
+            SentAt: entry.createdAt,
+            Type: entry.data.parentId ? 'reply' : 'text',
+            parent: entry.display.parent || null,
+            sendStatus: entry.status,
+            sendError: entry.error
+        };
+    }
+    
+    // Show the open thread's messages that are still in the outbox (e.g. written before a reload)
+    function showQueuedMessages(thread) {
+        const queued = ChatOutbox.pending(thread).filter(entry =>
+            !messagesContainer.querySelector(`.message[data-client-id="${entry.clientId}"]`));
+        if (queued.length === 0) return;
         
-        // Send the message to the API
-        try {
-            const response = await API.sendMessage({
-                senderId: currentUser.UserID,
-                channelId: currentChannelId,
-                content: messageContent,
-                type: 'text'
-            });
-            
-            if (!response.success) {
-                // Show error indication on the message
-                messageEl.querySelector('.message-time').innerHTML += ' <i class="fas fa-exclamation-circle" title="Failed to send"></i>';
-                console.error('Error sending message:', response.message);
+        if (!messagesContainer.querySelector('.message')) {
+            messagesContainer.innerHTML = '';
+        }
+        queued.forEach(entry => {
+            messagesContainer.appendChild(createMessageElement(queuedMessage(entry)));
+        });
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+    
+    // Keep queued bubbles in step with the outbox
+    ChatOutbox.subscribe((entry, event, response) => {
+        if (!messagesContainer) return;
+        const messageEl = messagesContainer.querySelector(`.message[data-client-id="${entry.clientId}"]`);
+        
+        if (event === 'sent') {
+            // The poller may have delivered the stored message already
+            if (messageEl && !messageEl.dataset.messageId) {
+                messageEl.replaceWith(createMessageElement({
+                    ...queuedMessage(entry),
+                    MessageID: response.messageId,
+                    Moderation: response.held ? 'held' : '',
+                    sendStatus: ''
+                }));
             }
-        } catch (error) {
-            console.error('Error sending message:', error);
-            // Show an error indication on the message
-            messageEl.querySelector('.message-time').innerHTML += ' <i class="fas fa-exclamation-circle" title="Failed to send"></i>';
+            if (response.held) {
+                showNotification(response.message);
+            }
+            ChatUpdates.refresh();
+            if (entry.data.receiverId) {
+                loadConversations();
+            } else if (channelsById[entry.data.channelId] && !channelsById[entry.data.channelId].membership) {
+                // Posting in a channel joins it
+                loadChannels();
+            }
+        } else if (messageEl && !messageEl.dataset.messageId) {
+            messageEl.replaceWith(createMessageElement(queuedMessage(entry)));
+        }
+    });
+    ChatOutbox.flush();
+    
+    // Save the text of a message being edited
+    async function saveMessageEdit(message, content) {
+        clearCompose();
+        if (content === message.Content) return;
+        
+        const response = await API.editMessage(message.MessageID, content);
+        if (response.success) {
+            showUpdatedMessages([response.data]);
+            if (response.held) {
+                showNotification(response.message);
+            }
+        } else {
+            showNotification(response.message || 'Could not edit message', true);
         }
     }
     
@@ -856,6 +2772,8 @@ document.addEventListener('DOMContentLoaded', async function() {
         chatInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 sendMessage();
+            } else if (e.key === 'Escape' && compose.mode) {
+                clearCompose();
             }
         });
     }
@@ -863,12 +2781,15 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Load channels on page load if on community tab
     if (document.querySelector('#community.content-section.active')) {
         loadChannels();
+        loadConversations();
     }
     
-    // Load channels when community tab is clicked
+    // Load channels and conversations when community tab is clicked
     tabs.forEach(tab => {
         if (tab.getAttribute('data-tab') === 'community') {
-            tab.addEventListener('click', loadChannels);
+            tab.addEventListener('click', () => loadChannels());
+            tab.addEventListener('click', loadConversations);
+            tab.addEventListener('click', () => ChatUpdates.refresh());
         }
     });
     
@@ -1007,8 +2928,8 @@ document.addEventListener('DOMContentLoaded', async function() {
                         JSON.parse(user.Interests) : user.Interests;
                     
                     if (Array.isArray(interests) && interests.length > 0) {
-                        const interestTagsEditor = document.querySelector('.interest-tags-editor');
-                        const addInterestInput = document.querySelector('.add-interest-input');
+                        const interestTagsEditor = preferencesForm.querySelector('.interest-tags-editor');
+                        const addInterestInput = preferencesForm.querySelector('.add-interest-input');
                         
                         // Remove existing interest tags
                         const existingTags = interestTagsEditor.querySelectorAll('.interest-tag');
@@ -1018,7 +2939,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                         interests.forEach(interest => {
                             const newTag = document.createElement('div');
                             newTag.className = 'interest-tag';
-                            newTag.innerHTML = `${interest} <i class="fas fa-times remove-tag"></i>`;
+                            newTag.innerHTML = `${SafeHtml.escape(interest)} <i class="fas fa-times remove-tag"></i>`;
                             
                             // Insert before the input
                             if (addInterestInput) {
@@ -1070,7 +2991,6 @@ document.addEventListener('DOMContentLoaded', async function() {
                 userId: user.UserID,
                 firstName: formData.get('firstName'),
                 lastName: formData.get('lastName'),
-                email: formData.get('email'),
                 phone: formData.get('phone'),
                 bio: formData.get('bio'),
                 homeLocation: formData.get('location')
@@ -1083,6 +3003,18 @@ document.addEventListener('DOMContentLoaded', async function() {
             saveBtn.disabled = true;
             
             try {
+                // Email changes need the current password and go through their own action
+                const email = formData.get('email');
+                if (email && email !== user.Email) {
+                    const credentialsResponse = await API.updateCredentials(user.UserID, formData.get('currentPassword'), { email });
+                    if (!credentialsResponse.success) {
+                        showNotification('Error updating email: ' + credentialsResponse.message, true);
+                        return;
+                    }
+                    user.Email = email;
+                    profileForm.querySelector('input[name="currentPassword"]').value = '';
+                }
+                
                 const response = await API.updateUser(user.UserID, profileData);
                 
                 if (response.success) {
@@ -1090,7 +3022,6 @@ document.addEventListener('DOMContentLoaded', async function() {
                     const updatedUser = { ...user };
                     updatedUser.FirstName = profileData.firstName;
                     updatedUser.LastName = profileData.lastName;
-                    updatedUser.Email = profileData.email;
                     updatedUser.Phone = profileData.phone;
                     updatedUser.UserBio = profileData.bio;
                     updatedUser.HomeLocation = profileData.homeLocation;
@@ -1128,15 +3059,15 @@ document.addEventListener('DOMContentLoaded', async function() {
                 userId: user.UserID,
                 travelStyle: formData.getAll('travelStyle'),
                 accommodationPrefs: formData.getAll('accommodation'),
-                interests: Array.from(document.querySelectorAll('.interest-tag')).map(tag => 
+                interests: Array.from(preferencesForm.querySelectorAll('.interest-tag')).map(tag => 
                     tag.textContent.trim().replace(' ×', '')
                 ),
                 budget: formData.get('budget'),
                 pace: formData.get('pace'),
                 planning: formData.get('planning'),
-                shareTravelDates: document.querySelector('input[name="shareTravelDates"]')?.checked || true,
-                allowConnectionRequests: document.querySelector('input[name="allowConnectionRequests"]')?.checked || true,
-                showInSearch: document.querySelector('input[name="showInSearch"]')?.checked || true
+                shareTravelDates: document.querySelector('input[name="shareTravelDates"]')?.checked ?? true,
+                allowConnectionRequests: document.querySelector('input[name="allowConnectionRequests"]')?.checked ?? true,
+                showInSearch: document.querySelector('input[name="showInSearch"]')?.checked ?? true
             };
             
             // Show loading state
@@ -1180,8 +3111,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
     
     // Interest tags functionality
-    const interestTagsEditor = document.querySelector('.interest-tags-editor');
-    const addInterestInput = document.querySelector('.add-interest-input');
+    const interestTagsEditor = preferencesForm ? preferencesForm.querySelector('.interest-tags-editor') : null;
+    const addInterestInput = preferencesForm ? preferencesForm.querySelector('.add-interest-input') : null;
     
     if (interestTagsEditor && addInterestInput) {
         // Add new interest tag when Enter is pressed
@@ -1189,7 +3120,7 @@ document.addEventListener('DOMContentLoaded', async function() {
             if (e.key === 'Enter' && addInterestInput.value.trim()) {
                 const newTag = document.createElement('div');
                 newTag.className = 'interest-tag';
-                newTag.innerHTML = `${addInterestInput.value.trim()} <i class="fas fa-times remove-tag"></i>`;
+                newTag.innerHTML = `${SafeHtml.escape(addInterestInput.value.trim())} <i class="fas fa-times remove-tag"></i>`;
                 
                 // Insert before the input
                 interestTagsEditor.insertBefore(newTag, addInterestInput);
@@ -1212,11 +3143,341 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
     
+    // Trip planning (My Trips tab)
+    const tripForm = document.getElementById('trip-form');
+    const tripsList = document.querySelector('.trips-list');
+    const planTripBtn = document.querySelector('.plan-trip-btn');
+    const tripDestinationSelect = document.getElementById('trip-destination');
+    const tripInterestsEditor = document.querySelector('.trip-interests-editor');
+    const tripInterestInput = tripInterestsEditor ? tripInterestsEditor.querySelector('.add-interest-input') : null;
+    const groupTripFields = document.querySelector('.group-trip-fields');
+    
+    // Trips of the current user keyed by TripID (used when editing)
+    let userTrips = {};
+    let tripDestinationsLoaded = false;
+    
+    // Format a date value as YYYY-MM-DD for date inputs
+    function toDateInputValue(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    // Populate the destination picker from the Destinations sheet
+    async function loadTripDestinations() {
+        if (!tripDestinationSelect || tripDestinationsLoaded) return;
+        
+        try {
+            const response = await API.getAllDestinations();
+            
+            tripDestinationSelect.innerHTML = '<option value="">Select a destination</option>';
+            
+            if (response.success && response.destinations) {
+                response.destinations.forEach(dest => {
+                    const option = document.createElement('option');
+                    option.value = `${dest.Name}${dest.Country ? ', ' + dest.Country : ''}`;
+                    option.textContent = option.value;
+                    option.dataset.destinationId = dest.DestinationID;
+                    tripDestinationSelect.appendChild(option);
+                });
+                tripDestinationsLoaded = true;
+            }
+        } catch (error) {
+            console.error('Error loading destinations for trip form:', error);
+            tripDestinationSelect.innerHTML = '<option value="">Error loading destinations</option>';
+        }
+    }
+    
+    // Add an interest tag to the trip form
+    function addTripInterestTag(interest) {
+        if (!tripInterestsEditor || !tripInterestInput || !interest) return;
+        
+        const newTag = document.createElement('div');
+        newTag.className = 'interest-tag';
+        newTag.innerHTML = `${SafeHtml.escape(interest)} <i class="fas fa-times remove-tag"></i>`;
+        tripInterestsEditor.insertBefore(newTag, tripInterestInput);
+        
+        newTag.querySelector('.remove-tag').addEventListener('click', function() {
+            this.parentElement.remove();
+        });
+    }
+    
+    // Show the trip form, pre-filled when editing an existing trip
+    async function openTripForm(trip = null) {
+        if (!tripForm) return;
+        
+        await loadTripDestinations();
+        
+        tripForm.reset();
+        tripInterestsEditor.querySelectorAll('.interest-tag').forEach(tag => tag.remove());
+        tripForm.elements.tripId.value = trip ? trip.TripID : '';
+        
+        if (trip) {
+            // Keep destinations that are no longer in the catalog selectable
+            if (!Array.from(tripDestinationSelect.options).some(opt => opt.value === trip.Destination)) {
+                const option = document.createElement('option');
+                option.value = trip.Destination;
+                option.textContent = trip.Destination;
+                tripDestinationSelect.appendChild(option);
+            }
+            tripDestinationSelect.value = trip.Destination;
+            tripForm.elements.startDate.value = toDateInputValue(trip.StartDate);
+            tripForm.elements.endDate.value = toDateInputValue(trip.EndDate);
+            tripForm.elements.budget.value = trip.Budget || 3;
+            tripForm.elements.description.value = trip.Description || '';
+            tripForm.elements.privacy.value = trip.Privacy || 'public';
+            
+            const travelStyles = Array.isArray(trip.TravelStyle) ? trip.TravelStyle : [];
+            tripForm.querySelectorAll('input[name="tripTravelStyle"]').forEach(checkbox => {
+                checkbox.checked = travelStyles.includes(checkbox.value);
+            });
+            
+            const interests = Array.isArray(trip.Interests) ? trip.Interests : [];
+            interests.forEach(addTripInterestTag);
+        }
+        
+        tripForm.querySelector('.save-btn').textContent = trip ? 'Update Trip' : 'Save Trip';
+        updateGroupTripFields();
+        tripForm.style.display = 'block';
+        if (planTripBtn) planTripBtn.style.display = 'none';
+    }
+    
+    // Hide and reset the trip form
+    function closeTripForm() {
+        if (!tripForm) return;
+        
+        tripForm.reset();
+        tripForm.style.display = 'none';
+        if (planTripBtn) planTripBtn.style.display = '';
+    }
+    
+    // Load the current user's trips
+    async function loadUserTrips() {
+        if (!tripsList) return;
+        
+        try {
+            const response = await API.getUserTrips(user.UserID);
+            
+            tripsList.innerHTML = '';
+            userTrips = {};
+            
+            if (response.success && response.trips && response.trips.length > 0) {
+                const trips = response.trips.sort((a, b) => new Date(a.StartDate) - new Date(b.StartDate));
+                const now = new Date();
+                
+                trips.forEach(trip => {
+                    userTrips[trip.TripID] = trip;
+                    
+                    const startDate = new Date(trip.StartDate);
+                    const endDate = new Date(trip.EndDate);
+                    const formattedStartDate = startDate.toLocaleDateString('en-US', {
+                        month: 'short',
+                        day: 'numeric'
+                    });
+                    const formattedEndDate = endDate.toLocaleDateString('en-US', {
+                        month: 'short',
+                        day: 'numeric',
+                        year: 'numeric'
+                    });
+                    const isPast = endDate < now;
+                    
+                    const tripItem = document.createElement('div');
+                    tripItem.className = `trip-item${isPast ? ' past' : ''}`;
+                    tripItem.dataset.tripId = trip.TripID;
+                    tripItem.innerHTML = `
+                        <div class="trip-info">
+                            <h4>${SafeHtml.escape(trip.Destination)}</h4>
+                            <div class="invite-details">
+                                <span><i class="fas fa-calendar-alt"></i> ${formattedStartDate} - ${formattedEndDate}</span>
+                                <span><i class="fas ${trip.Privacy === 'private' ? 'fa-lock' : 'fa-globe'}"></i> ${trip.Privacy === 'private' ? 'Private' : 'Public'}</span>
+                                ${isPast ? '<span><i class="fas fa-history"></i> Completed</span>' : ''}
+                            </div>
+                            ${trip.Description ? `<p class="trip-description">${SafeHtml.escape(trip.Description)}</p>` : ''}
+                        </div>
+                        <div class="invite-actions">
+                            <button class="accept-btn edit-trip-btn" data-trip-id="${SafeHtml.escape(trip.TripID)}">Edit</button>
+                            <button class="cancel-btn delete-trip-btn" data-trip-id="${SafeHtml.escape(trip.TripID)}">Cancel trip</button>
+                        </div>
+                    `;
+                    
+                    tripsList.appendChild(tripItem);
+                });
+                
+                tripsList.querySelectorAll('.edit-trip-btn').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        openTripForm(userTrips[btn.getAttribute('data-trip-id')]);
+                    });
+                });
+                
+                tripsList.querySelectorAll('.delete-trip-btn').forEach(btn => {
+                    btn.addEventListener('click', async () => {
+                        const tripId = btn.getAttribute('data-trip-id');
+                        if (!confirm('Cancel this trip? Other travelers will no longer see it.')) return;
+                        
+                        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+                        btn.disabled = true;
+                        
+                        try {
+                            const response = await API.deleteTrip(tripId, user.UserID);
+                            
+                            if (response.success) {
+                                showNotification('Trip cancelled');
+                                clearTravelersCache();
+                                loadUserTrips();
+                            } else {
+                                showNotification('Error cancelling trip: ' + response.message, true);
+                                btn.innerHTML = 'Cancel trip';
+                                btn.disabled = false;
+                            }
+                        } catch (error) {
+                            console.error('Error cancelling trip:', error);
+                            showNotification('Network error. Please try again.', true);
+                            btn.innerHTML = 'Cancel trip';
+                            btn.disabled = false;
+                        }
+                    });
+                });
+            } else {
+                // Show empty state
+                tripsList.innerHTML = `
+                    <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                        <i class="fas fa-suitcase-rolling" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                        <p>No trips planned yet. Plan a trip to meet travelers heading the same way!</p>
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('Error loading trips:', error);
+            tripsList.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--text-tertiary);">
+                    <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                    <p>Error loading trips. Please try again.</p>
+                </div>
+            `;
+        }
+    }
+    
+    // Forget cached travelers so the Connect tab reflects trip changes
+    function clearTravelersCache() {
+        Object.keys(travelers).forEach(key => delete travelers[key]);
+        reloadLocationCards();
+    }
+    
+    // New trips with "Group travel" selected become group trips with a fixed number of seats
+    function isNewGroupTrip() {
+        const groupCheckbox = tripForm.querySelector('input[name="tripTravelStyle"][value="group"]');
+        return !tripForm.elements.tripId.value && groupCheckbox && groupCheckbox.checked;
+    }
+    
+    function updateGroupTripFields() {
+        if (groupTripFields) {
+            groupTripFields.style.display = isNewGroupTrip() ? 'block' : 'none';
+        }
+    }
+    
+    if (planTripBtn) {
+        planTripBtn.addEventListener('click', () => openTripForm());
+    }
+    
+    if (tripInterestInput) {
+        tripInterestInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                // Prevent the keypress from submitting the trip form
+                e.preventDefault();
+                if (tripInterestInput.value.trim()) {
+                    addTripInterestTag(tripInterestInput.value.trim());
+                    tripInterestInput.value = '';
+                }
+            }
+        });
+    }
+    
+    if (tripForm) {
+        tripForm.querySelector('.trip-form-cancel').addEventListener('click', closeTripForm);
+        tripForm.querySelectorAll('input[name="tripTravelStyle"]').forEach(checkbox => {
+            checkbox.addEventListener('change', updateGroupTripFields);
+        });
+        
+        tripForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(tripForm);
+            const tripId = formData.get('tripId');
+            const tripData = {
+                userId: user.UserID,
+                destination: formData.get('destination'),
+                startDate: formData.get('startDate'),
+                endDate: formData.get('endDate'),
+                travelStyle: formData.getAll('tripTravelStyle'),
+                interests: Array.from(tripInterestsEditor.querySelectorAll('.interest-tag')).map(tag =>
+                    tag.textContent.trim()
+                ),
+                budget: formData.get('budget'),
+                description: formData.get('description'),
+                privacy: formData.get('privacy')
+            };
+            
+            if (!tripData.destination) {
+                showNotification('Please select a destination', true);
+                return;
+            }
+            
+            if (new Date(tripData.endDate) < new Date(tripData.startDate)) {
+                showNotification('End date must be after the start date', true);
+                return;
+            }
+            
+            // Show loading state
+            const saveBtn = tripForm.querySelector('.save-btn');
+            const originalText = saveBtn.textContent;
+            saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+            saveBtn.disabled = true;
+            
+            try {
+                let response;
+                if (tripId) {
+                    response = await API.updateTrip(tripId, tripData);
+                } else if (isNewGroupTrip()) {
+                    response = await API.createGroupTrip({ ...tripData, capacity: formData.get('capacity') });
+                } else {
+                    response = await API.createTrip(tripData);
+                }
+                
+                if (response.success) {
+                    showNotification(tripId ? 'Trip updated successfully!' : 'Trip created successfully!');
+                    closeTripForm();
+                    clearTravelersCache();
+                    loadUserTrips();
+                } else {
+                    showNotification('Error saving trip: ' + response.message, true);
+                }
+            } catch (error) {
+                console.error('Error saving trip:', error);
+                showNotification('Network error. Please try again.', true);
+            } finally {
+                // Restore button
+                saveBtn.innerHTML = originalText;
+                saveBtn.disabled = false;
+            }
+        });
+    }
+    
     // Load connections tab and invites
     const connectionsList = document.querySelector('.connections-list');
     const connectionsStats = document.querySelector('.connections-stats');
     const invitesContainer = document.querySelector('.invites-container');
     
+    // "Message" on an accepted invite opens the conversation with that traveler
+    if (invitesContainer) {
+        invitesContainer.addEventListener('click', (e) => {
+            const messageBtn = e.target.closest('.message-btn[data-user-id]');
+            if (!messageBtn || !messageBtn.getAttribute('data-user-id')) return;
+            openDirectMessage(messageBtn.getAttribute('data-user-id'), messageBtn.getAttribute('data-user-name'));
+        });
+    }
+    
     // Load user connections
     async function loadUserConnections() {
         if (!connectionsList) return;
@@ -1243,19 +3504,27 @@ document.addEventListener('DOMContentLoaded', async function() {
                     const connectionItem = document.createElement('div');
                     connectionItem.className = 'connection-item';
                     connectionItem.innerHTML = `
-                        <div class="connection-avatar">${otherUser.avatar || otherUser.firstName?.charAt(0) || 'U'}</div>
+                        <div class="connection-avatar">${SafeHtml.escape(otherUser.avatar || otherUser.firstName?.charAt(0) || 'U')}</div>
                         <div class="connection-info">
-                            <h4>${otherUser.firstName || ''} ${otherUser.lastName || ''}</h4>
+                            <h4>${SafeHtml.escape(otherUser.firstName)} ${SafeHtml.escape(otherUser.lastName)}</h4>
                             <p>Connected since ${formattedDate}</p>
                             <div class="connection-location">
-                                <i class="fas fa-map-marker-alt"></i> ${otherUser.homeLocation || 'Location not specified'}
+                                <i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(otherUser.homeLocation || 'Location not specified')}
                             </div>
+                            ${(connection.sharedTrips || []).map(trip => `
+                                <div class="connection-trip">
+                                    <i class="fas fa-suitcase"></i> ${SafeHtml.escape(trip.destination)} · ${new Date(trip.startDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                                </div>
+                            `).join('')}
                         </div>
                         <div class="connection-actions">
-                            <button class="message-btn" data-user-id="${otherUser.userId}">
+                            <button class="message-btn" data-user-id="${SafeHtml.escape(otherUser.userId)}">
                                 <i class="fas fa-comment"></i>
                             </button>
-                            <button class="more-options-btn">
+                            <button class="more-options-btn report-user-btn" data-user-id="${SafeHtml.escape(otherUser.userId)}" title="Report">
+                                <i class="far fa-flag"></i>
+                            </button>
+                            <button class="more-options-btn block-user-btn" data-user-id="${SafeHtml.escape(otherUser.userId)}" title="Block">
                                 <i class="fas fa-ellipsis-v"></i>
                             </button>
                         </div>
@@ -1268,9 +3537,40 @@ document.addEventListener('DOMContentLoaded', async function() {
                 document.querySelectorAll('.message-btn[data-user-id]').forEach(btn => {
                     btn.addEventListener('click', (e) => {
                         e.stopPropagation();
-                        const userId = btn.getAttribute('data-user-id');
-                        // TODO: Implement direct messaging
-                        alert('Direct messaging will be implemented in a future update.');
+                        const name = btn.closest('.connection-item').querySelector('h4').textContent.trim();
+                        openDirectMessage(btn.getAttribute('data-user-id'), name);
+                    });
+                });
+                
+                connectionsList.querySelectorAll('.report-user-btn[data-user-id]').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        const name = btn.closest('.connection-item').querySelector('h4').textContent.trim();
+                        openReportComposer('user', btn.getAttribute('data-user-id'), name);
+                    });
+                });
+                
+                // Blocking removes the connection from the list and stops any further invites
+                connectionsList.querySelectorAll('.block-user-btn[data-user-id]').forEach(btn => {
+                    btn.addEventListener('click', async (e) => {
+                        e.stopPropagation();
+                        const name = btn.closest('.connection-item').querySelector('h4').textContent.trim();
+                        if (!confirm(`Block ${name}? You won't be able to send each other invites.`)) return;
+                        
+                        btn.disabled = true;
+                        try {
+                            const response = await API.blockUser(btn.getAttribute('data-user-id'));
+                            if (!response.success) {
+                                throw new Error(response.message || 'Failed to block user');
+                            }
+                            showNotification(`${name} has been blocked`);
+                            loadUserConnections();
+                            loadConnectionStats();
+                        } catch (error) {
+                            console.error('Error blocking user:', error);
+                            showNotification(error.message || 'Failed to block user', true);
+                            btn.disabled = false;
+                        }
                     });
                 });
             } else {
@@ -1321,6 +3621,8 @@ document.addEventListener('DOMContentLoaded', async function() {
                     const inviteItem = document.createElement('div');
                     inviteItem.className = 'invite-item';
                     inviteItem.dataset.inviteId = invite.InviteID;
+                    inviteItem.dataset.userId = otherUser.userId || '';
+                    inviteItem.dataset.userName = `${otherUser.firstName || ''} ${otherUser.lastName || ''}`.trim();
                     
                     let tripInfo = '';
                     if (invite.trip) {
@@ -1339,23 +3641,23 @@ document.addEventListener('DOMContentLoaded', async function() {
                         });
                         
                         tripInfo = `
-                            <span><i class="fas fa-map-marker-alt"></i> ${invite.trip.destination}</span>
+                            <span><i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(invite.trip.destination)}</span>
                             <span><i class="fas fa-calendar-alt"></i> ${formattedStartDate} - ${formattedEndDate}</span>
                         `;
                     }
                     
                     inviteItem.innerHTML = `
-                        <div class="invite-avatar">${otherUser.avatar || otherUser.firstName?.charAt(0) || 'U'}</div>
+                        <div class="invite-avatar">${SafeHtml.escape(otherUser.avatar || otherUser.firstName?.charAt(0) || 'U')}</div>
                         <div class="invite-info">
-                            <h4>${otherUser.firstName || ''} ${otherUser.lastName || ''} invited you to join their trip</h4>
+                            <h4>${SafeHtml.escape(otherUser.firstName)} ${SafeHtml.escape(otherUser.lastName)} ${invite.trip ? 'invited you to join their trip' : 'wants to connect'}</h4>
                             <div class="invite-details">
                                 ${tripInfo}
                             </div>
-                            <p class="invite-message">"${invite.Message || 'Would you like to connect?'}"</p>
+                            <p class="invite-message">"${SafeHtml.escape(invite.Message || 'Would you like to connect?')}"</p>
                         </div>
                         <div class="invite-actions">
-                            <button class="accept-btn" data-invite-id="${invite.InviteID}">Accept</button>
-                            <button class="decline-btn" data-invite-id="${invite.InviteID}">Decline</button>
+                            <button class="accept-btn" data-invite-id="${SafeHtml.escape(invite.InviteID)}">Accept</button>
+                            <button class="decline-btn" data-invite-id="${SafeHtml.escape(invite.InviteID)}">Decline</button>
                         </div>
                     `;
                     
@@ -1384,9 +3686,9 @@ document.addEventListener('DOMContentLoaded', async function() {
                                 setTimeout(() => {
                                     // In a real app, this would send data to backend
                                     inviteItem.innerHTML = `
-                                        <div class="invite-avatar">${inviteItem.querySelector('.invite-avatar').textContent}</div>
+                                        <div class="invite-avatar">${SafeHtml.escape(inviteItem.querySelector('.invite-avatar').textContent)}</div>
                                         <div class="invite-info">
-                                            <h4>${inviteItem.querySelector('h4').textContent}</h4>
+                                            <h4>${SafeHtml.escape(inviteItem.querySelector('h4').textContent)}</h4>
                                             <div class="invite-details">
                                                 ${inviteItem.querySelector('.invite-details').innerHTML}
                                             </div>
@@ -1395,7 +3697,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                                             </div>
                                         </div>
                                         <div class="invite-actions">
-                                            <button class="message-btn" style="width: auto; padding: 0.6rem 1rem;">
+                                            <button class="message-btn" data-user-id="${SafeHtml.escape(inviteItem.dataset.userId)}" data-user-name="${SafeHtml.escape(inviteItem.dataset.userName)}" style="width: auto; padding: 0.6rem 1rem;">
                                                 <i class="fas fa-comment"></i> Message
                                             </button>
                                         </div>
@@ -1492,6 +3794,8 @@ document.addEventListener('DOMContentLoaded', async function() {
                     const inviteItem = document.createElement('div');
                     inviteItem.className = 'invite-item';
                     inviteItem.dataset.inviteId = invite.InviteID;
+                    inviteItem.dataset.userId = otherUser.userId || '';
+                    inviteItem.dataset.userName = `${otherUser.firstName || ''} ${otherUser.lastName || ''}`.trim();
                     
                     let tripInfo = '';
                     if (invite.trip) {
@@ -1510,7 +3814,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                         });
                         
                         tripInfo = `
-                            <span><i class="fas fa-map-marker-alt"></i> ${invite.trip.destination}</span>
+                            <span><i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(invite.trip.destination)}</span>
                             <span><i class="fas fa-calendar-alt"></i> ${formattedStartDate} - ${formattedEndDate}</span>
                         `;
                     }
@@ -1528,25 +3832,33 @@ document.addEventListener('DOMContentLoaded', async function() {
                         statusClass = 'declined';
                         statusIcon = 'fa-times-circle';
                         statusText = 'Declined';
+                    } else if (invite.Status === 'expired') {
+                        statusClass = 'closed';
+                        statusIcon = 'fa-hourglass-end';
+                        statusText = 'Expired without a response';
+                    } else if (invite.Status === 'cancelled' || invite.Status === 'withdrawn') {
+                        statusClass = 'closed';
+                        statusIcon = 'fa-ban';
+                        statusText = 'Cancelled';
                     }
                     
                     inviteItem.innerHTML = `
-                        <div class="invite-avatar">${otherUser.avatar || otherUser.firstName?.charAt(0) || 'U'}</div>
+                        <div class="invite-avatar">${SafeHtml.escape(otherUser.avatar || otherUser.firstName?.charAt(0) || 'U')}</div>
                         <div class="invite-info">
-                            <h4>You invited ${otherUser.firstName || ''} ${otherUser.lastName || ''} to join your trip</h4>
+                            <h4>${invite.trip ? `You invited ${SafeHtml.escape(inviteItem.dataset.userName)} to join your trip` : `You asked ${SafeHtml.escape(inviteItem.dataset.userName)} to connect`}</h4>
                             <div class="invite-details">
                                 ${tripInfo}
                             </div>
-                            <p class="invite-message">"${invite.Message || 'Would you like to connect?'}"</p>
+                            <p class="invite-message">"${SafeHtml.escape(invite.Message || 'Would you like to connect?')}"</p>
                             <div class="invite-status ${statusClass}">
                                 <i class="fas ${statusIcon}"></i> ${statusText}
                             </div>
                         </div>
                         <div class="invite-actions">
                             ${invite.Status === 'pending' ? 
-                                '<button class="cancel-btn" data-invite-id="' + invite.InviteID + '">Cancel</button>' : 
+                                '<button class="cancel-btn" data-invite-id="' + SafeHtml.escape(invite.InviteID) + '">Cancel</button>' : 
                                 (invite.Status === 'accepted' ? 
-                                    '<button class="message-btn" style="width: auto; padding: 0.6rem 1rem;"><i class="fas fa-comment"></i> Message</button>' : 
+                                    `<button class="message-btn" data-user-id="${SafeHtml.escape(otherUser.userId)}" data-user-name="${SafeHtml.escape(inviteItem.dataset.userName)}" style="width: auto; padding: 0.6rem 1rem;"><i class="fas fa-comment"></i> Message</button>` : 
                                     '')}
                         </div>
                     `;
@@ -1556,9 +3868,25 @@ document.addEventListener('DOMContentLoaded', async function() {
                 
                 // Add event listeners to cancel buttons
                 document.querySelectorAll('.cancel-btn[data-invite-id]').forEach(btn => {
-                    btn.addEventListener('click', function() {
+                    btn.addEventListener('click', async function() {
                         const inviteItem = this.closest('.invite-item');
+                        this.disabled = true;
                         inviteItem.style.opacity = '0.5';
+                        
+                        try {
+                            const response = await API.cancelInvite(this.getAttribute('data-invite-id'));
+                            if (!response.success) {
+                                throw new Error(response.message || 'Failed to cancel invite');
+                            }
+                        } catch (error) {
+                            console.error('Error cancelling invite:', error);
+                            showNotification(error.message || 'Failed to cancel invite', true);
+                            this.disabled = false;
+                            inviteItem.style.opacity = '1';
+                            return;
+                        }
+                        
+                        showNotification('Invite cancelled');
                         setTimeout(() => {
                             inviteItem.style.height = '0';
                             inviteItem.style.padding = '0';
@@ -1643,33 +3971,13 @@ document.addEventListener('DOMContentLoaded', async function() {
                     loadConnectionStats();
                 } else if (tabId === 'invites') {
                     loadUserInvites();
+                } else if (tabId === 'trips') {
+                    loadUserTrips();
                 }
             });
         });
     }
     
-    // Connect filter tabs functionality
-    const filterItems = document.querySelectorAll('.filter-item');
-    filterItems.forEach(item => {
-        item.addEventListener('click', () => {
-            filterItems.forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
-            
-            // In a real app, this would filter the travelers list
-            // For demo, just show a visual effect
-            const travelers = document.querySelectorAll('.traveler-card');
-            travelers.forEach(traveler => {
-                traveler.style.opacity = '0.5';
-                traveler.style.transform = 'scale(0.98)';
-                
-                setTimeout(() => {
-                    traveler.style.opacity = '1';
-                    traveler.style.transform = 'scale(1)';
-                }, 300);
-            });
-        });
-    });
-    
     // Function to show a notification
     function showNotification(message, isError = false) {
         const notification = document.createElement('div');
@@ -1677,7 +3985,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         notification.innerHTML = `
             <div class="notification-content">
                 <i class="fas ${isError ? 'fa-exclamation-circle' : 'fa-check-circle'}"></i>
-                <span>${message}</span>
+                <span>${SafeHtml.escape(message)}</span>
             </div>
         `;
         
@@ -1917,7 +4225,7 @@ function displaySearchResults(destinations, query, keywordScores) {
     searchHeader.innerHTML = `
         <div class="search-header-title">
             <i class="fas fa-search-location"></i> Search Results
-            <span class="search-query">${query}</span>
+            <span class="search-query">${SafeHtml.escape(query)}</span>
         </div>
     `;
     searchResults.appendChild(searchHeader);
@@ -1936,7 +4244,7 @@ function displaySearchResults(destinations, query, keywordScores) {
                     Your query matches best with: 
                     <div class="keyword-tags">
                         ${topKeywords.map(keyword => 
-                            `<span class="search-result-match"><i class="fas fa-tag"></i> ${keyword}</span>`
+                            `<span class="search-result-match"><i class="fas fa-tag"></i> ${SafeHtml.escape(keyword)}</span>`
                         ).join('')}
                     </div>
                 </div>
@@ -1968,7 +4276,7 @@ function displaySearchResults(destinations, query, keywordScores) {
                     // Use different styling for high-scoring matches
                     const highScore = k.score > 8;
                     return `<span class="search-result-match ${highScore ? 'high-score' : ''}">
-                        ${k.keyword}${highScore ? ' <i class="fas fa-star"></i>' : ''}
+                        ${SafeHtml.escape(k.keyword)}${highScore ? ' <i class="fas fa-star"></i>' : ''}
                     </span>`;
                 })
                 .join('');
@@ -1979,29 +4287,29 @@ function displaySearchResults(destinations, query, keywordScores) {
             
             // Create HTML for the result item with enhanced visual display
             resultItem.innerHTML = `
-                <div class="search-result-icon" data-region="${destData.region || 'unknown'}">
-                    <i class="fas ${icon}"></i>
+                <div class="search-result-icon" data-region="${SafeHtml.escape(destData.region || 'unknown')}">
+                    <i class="fas ${SafeHtml.escape(icon)}"></i>
                 </div>
                 <div class="search-result-info">
-                    <div class="search-result-title">${destination.name}
+                    <div class="search-result-title">${SafeHtml.escape(destination.name)}
                         <span class="confidence-score ${confidenceClass}">
                             <i class="fas fa-chart-line"></i> ${confidenceScore}%
                         </span>
                     </div>
                     <div class="search-result-description">
                         ${destData.description ? 
-                            `<div class="destination-description">${destData.description.substring(0, 60)}${destData.description.length > 60 ? '...' : ''}</div>` 
+                            `<div class="destination-description">${SafeHtml.escape(destData.description.substring(0, 60))}${destData.description.length > 60 ? '...' : ''}</div>` 
                             : ''}
                         <div class="keyword-container">
                             ${keywordText}
                         </div>
                         ${destData.region ? 
-                            `<div class="destination-region"><i class="fas fa-map-marker-alt"></i> ${destData.region}</div>` 
+                            `<div class="destination-region"><i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(destData.region)}</div>` 
                             : ''}
                     </div>
                 </div>
                 ${destData.image ? 
-                    `<div class="search-result-image" style="background-image: url('${destData.image}');"></div>` 
+                    `<div class="search-result-image" style="background-image: ${SafeHtml.cssUrl(destData.image)};"></div>` 
                     : ''}
             `;
             
@@ -2030,7 +4338,7 @@ function displaySearchResults(destinations, query, keywordScores) {
             <div class="search-result-info">
                 <div class="search-result-title">No matches found</div>
                 <div class="search-result-description">
-                    <p>We couldn't find destinations matching "${query}"</p>
+                    <p>We couldn't find destinations matching "${SafeHtml.escape(query)}"</p>
                     <div class="suggestions">
                         <p>Try:</p>
                         <ul>
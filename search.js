@@ -137,11 +137,17 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Add event listener for search input
     let searchTimeout;
+    // Cancels the AI request of a search that has been superseded
+    let searchController = null;
     searchInput.addEventListener('input', function() {
         const query = searchInput.value.trim();
         
-        // Clear previous timeout
+        // Clear previous timeout and cancel any search still in flight
         clearTimeout(searchTimeout);
+        if (searchController) {
+            searchController.abort();
+            searchController = null;
+        }
         
         // Hide results container
         searchResults.style.display = 'none';
@@ -165,7 +171,8 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Set timeout to prevent too many API calls
         searchTimeout = setTimeout(() => {
             // Start the smart search process
-            performSmartSearch(query);
+            searchController = new AbortController();
+            performSmartSearch(query, searchController.signal);
         }, 500);
     });
     
@@ -210,8 +217,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     /**
      * Perform smart search using Claude AI to categorize the query
      * @param {string} query - The search query
+     * @param {AbortSignal} signal - Aborted when the user changes the query
      */
-    async function performSmartSearch(query) {
+    async function performSmartSearch(query, signal) {
         // Show loading animation that covers the whole page
         searchLoading.style.display = 'flex';
         searchLoading.innerHTML = '';
@@ -239,7 +247,12 @@ document.addEventListener('DOMContentLoaded', async function() {
             }, 1000);
             
             // Call Claude API to analyze the query
-            const keywordScores = await analyzeQueryWithClaude(query);
+            const keywordScores = await analyzeQueryWithClaude(query, signal);
+            
+            // A newer query has taken over; leave the UI to it
+            if (signal && signal.aborted) {
+                return;
+            }
             
             // Step 4: Mapping to database keywords
             setTimeout(() => {
@@ -340,9 +353,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     /**
      * Call Claude API to analyze the search query (via backend proxy)
      * @param {string} query - The search query
+     * @param {AbortSignal} signal - Optional signal to cancel the request
      * @returns {Promise<Object>} - Object with keyword scores
      */
-    async function analyzeQueryWithClaude(query) {
+    async function analyzeQueryWithClaude(query, signal) {
         try {
             // For performance reasons, limit the number of keywords we send to Claude
             // If we have more than 50 keywords, select the most relevant ones based on the query
@@ -395,45 +409,17 @@ document.addEventListener('DOMContentLoaded', async function() {
                 }
             }
             
-            // Prepare the Claude API request
-            const requestData = {
-                messages: [
-                    {
-                        role: 'user',
-                        content: `I need you to analyze this travel search query: "${query}"
-                        
-                        Please rank how well it matches each of these travel keywords on a scale from 0-10, where 10 is a perfect match:
-                        ${keywordsToAnalyze.join(', ')}
-                        
-                        Return your response as a JSON object with keywords as keys and scores as values. For example:
-                        {"beach": 9, "mountain": 0, ...}
-                        
-                        Only include the JSON in your response with no other text.`
-                    }
-                ]
-            };
-            
-            // Use direct fetch with JSONP approach as shown in the working example
-            const apiUrl = API.BASE_URL;
-            
-            // Send the request directly as JSONP
-            const response = await fetch(`${apiUrl}?action=callClaudeApi&callback=handleResponse&data=${encodeURIComponent(JSON.stringify(requestData))}`);
-            
-            const text = await response.text();
-            
-            // Extract the JSON from JSONP response
-            const jsonStart = text.indexOf('(') + 1;
-            const jsonEnd = text.lastIndexOf(')');
-            const jsonStr = text.substring(jsonStart, jsonEnd);
-            
-            const data = JSON.parse(jsonStr);
+            // Ask the backend's search scoring template to rank the keywords
+            const data = await API.callClaudeApi('searchScoring', {
+                query: query,
+                keywords: keywordsToAnalyze.slice(0, 100) // Backend rejects larger keyword lists
+            }, { signal });
             
             // Extract the JSON object from Claude's response
             let keywordScores = {};
             try {
-                if (data.success && data.data && data.data.content) {
-                    // Try to parse the content directly
-                    const content = data.data.content[0].text;
+                if (data.success && data.text) {
+                    const content = data.text;
                     
                     // Use regex to extract the JSON object from the response
                     const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -686,7 +672,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         searchHeader.innerHTML = `
             <div class="search-header-title">
                 <i class="fas fa-search-location"></i> Search Results
-                <span class="search-query">${query}</span>
+                <span class="search-query">${SafeHtml.escape(query)}</span>
             </div>
         `;
         searchResults.appendChild(searchHeader);
@@ -705,7 +691,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                         Your query matches best with: 
                         <div class="keyword-tags">
                             ${topKeywords.map(keyword => 
-                                `<span class="search-result-match"><i class="fas fa-tag"></i> ${keyword}</span>`
+                                `<span class="search-result-match"><i class="fas fa-tag"></i> ${SafeHtml.escape(keyword)}</span>`
                             ).join('')}
                         </div>
                     </div>
@@ -737,7 +723,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                         // Use different styling for high-scoring matches
                         const highScore = k.score > 8;
                         return `<span class="search-result-match ${highScore ? 'high-score' : ''}">
-                            ${k.keyword}${highScore ? ' <i class="fas fa-star"></i>' : ''}
+                            ${SafeHtml.escape(k.keyword)}${highScore ? ' <i class="fas fa-star"></i>' : ''}
                         </span>`;
                     })
                     .join('');
@@ -748,29 +734,29 @@ document.addEventListener('DOMContentLoaded', async function() {
                 
                 // Create HTML for the result item with enhanced visual display
                 resultItem.innerHTML = `
-                    <div class="search-result-icon" data-region="${destData.region || 'unknown'}">
-                        <i class="fas ${icon}"></i>
+                    <div class="search-result-icon" data-region="${SafeHtml.escape(destData.region || 'unknown')}">
+                        <i class="fas ${SafeHtml.escape(icon)}"></i>
                     </div>
                     <div class="search-result-info">
-                        <div class="search-result-title">${destination.name}
+                        <div class="search-result-title">${SafeHtml.escape(destination.name)}
                             <span class="confidence-score ${confidenceClass}">
                                 <i class="fas fa-chart-line"></i> ${confidenceScore}%
                             </span>
                         </div>
                         <div class="search-result-description">
                             ${destData.description ? 
-                                `<div class="destination-description">${destData.description.substring(0, 60)}${destData.description.length > 60 ? '...' : ''}</div>` 
+                                `<div class="destination-description">${SafeHtml.escape(destData.description.substring(0, 60))}${destData.description.length > 60 ? '...' : ''}</div>` 
                                 : ''}
                             <div class="keyword-container">
                                 ${keywordText}
                             </div>
                             ${destData.region ? 
-                                `<div class="destination-region"><i class="fas fa-map-marker-alt"></i> ${destData.region}</div>` 
+                                `<div class="destination-region"><i class="fas fa-map-marker-alt"></i> ${SafeHtml.escape(destData.region)}</div>` 
                                 : ''}
                         </div>
                     </div>
                     ${destData.image ? 
-                        `<div class="search-result-image" style="background-image: url('${destData.image}');"></div>` 
+                        `<div class="search-result-image" style="background-image: ${SafeHtml.cssUrl(destData.image)};"></div>` 
                         : ''}
                 `;
                 
@@ -799,7 +785,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 <div class="search-result-info">
                     <div class="search-result-title">No matches found</div>
                     <div class="search-result-description">
-                        <p>We couldn't find destinations matching "${query}"</p>
+                        <p>We couldn't find destinations matching "${SafeHtml.escape(query)}"</p>
                         <div class="suggestions">
                             <p>Try:</p>
                             <ul>
@@ -921,14 +907,14 @@ function updateMapOverlayWithSearchResults(destinations, query, keywordScores) {
         card.innerHTML = `
             <div class="destination-card-header">
                 <div class="destination-card-icon">
-                    <i class="fas ${icon}"></i>
+                    <i class="fas ${SafeHtml.escape(icon)}"></i>
                 </div>
-                <h4 class="destination-card-title">${destination.name}</h4>
+                <h4 class="destination-card-title">${SafeHtml.escape(destination.name)}</h4>
             </div>
-            <div class="destination-card-description">${destination.description || 'Explore this destination and connect with travelers heading there.'}</div>
+            <div class="destination-card-description">${SafeHtml.escape(destination.description || 'Explore this destination and connect with travelers heading there.')}</div>
             <div class="destination-card-stats">
                 <div class="destination-card-stat">
-                    <i class="fas fa-tag"></i> ${keywordText}
+                    <i class="fas fa-tag"></i> ${SafeHtml.escape(keywordText)}
                 </div>
             </div>
         `;
@@ -965,59 +951,25 @@ function updateMapOverlayWithSearchResults(destinations, query, keywordScores) {
      * @param {Object} destination - The selected destination
      */
     function handleDestinationSelection(destination) {
-        // First try clicking on the corresponding trending item
-        const trendingItems = document.querySelectorAll('.trending-item');
-        let clicked = false;
-        
         // Always clear search mode regardless of selection
         clearSearchMode();
         
-        trendingItems.forEach(item => {
-            const itemTitle = item.querySelector('h4')?.textContent;
-            if (itemTitle && destination.name.includes(itemTitle) || (itemTitle && itemTitle.includes(destination.name.split(',')[0]))) {
-                item.click();
-                clicked = true;
-                
-                // Close the search results
-                searchResults.style.display = 'none';
-                searchLoading.style.display = 'none';
-            }
-        });
-        
-        // If no trending item matched, try location cards
-        if (!clicked) {
-            const locationCards = document.querySelectorAll('.location-card');
-            locationCards.forEach(card => {
-                const cardName = card.querySelector('h3')?.textContent;
-                if (cardName && (destination.name.includes(cardName) || cardName.includes(destination.name.split(',')[0]))) {
-                    setTimeout(() => {
-                        // First switch to connect tab if needed
-                        const connectTab = document.querySelector('[data-tab="connect"]');
-                        if (connectTab && !connectTab.classList.contains('active')) {
-                            connectTab.click();
-                        }
-                        
-                        // Then click the card after tab transition
-                        setTimeout(() => {
-                            card.click();
-                        }, 300);
-                    }, 100);
-                    
-                    clicked = true;
-                    
-                    // Close the search results
-                    searchResults.style.display = 'none';
-                    searchLoading.style.display = 'none';
+        // Close the search results
+        searchResults.style.display = 'none';
+        searchLoading.style.display = 'none';
+        
+        if (destination.id) {
+            // Handled by the Connect tab in script.js
+            document.dispatchEvent(new CustomEvent('openLocationDetail', {
+                detail: {
+                    destinationId: destination.id,
+                    name: destination.name.split(',')[0],
+                    label: destination.name
                 }
-            });
-        }
-        
-        // If no match found, just close the search results
-        if (!clicked) {
-            // Just show an alert for now
+            }));
+        } else {
+            // Without a catalog ID there are no travelers to look up
             alert(`You selected ${destination.name}. View details coming soon!`);
-            searchResults.style.display = 'none';
-            searchLoading.style.display = 'none';
         }
     }
     